@@ -1,5 +1,5 @@
 /**
- * Repository containing some common transformation and validation methods to use with the XLSX Importer class.
+ * Repository containing some common transformation, validation and compute methods to use with the XLSX Importer class.
  *
  * @author Samuele Berlusconi (GitHub: @SamueleBerlusconi)
  * @license Apache-2.0
@@ -8,6 +8,8 @@ var XLSXImporter_Methods_Repository = Class.create();
 
 XLSXImporter_Methods_Repository.TRANSFORMS = {};
 XLSXImporter_Methods_Repository.VALIDATIONS = {};
+XLSXImporter_Methods_Repository.ROW_VALIDATIONS = {};
+XLSXImporter_Methods_Repository.COMPUTES = {};
 
 /**
  * Transform a string value into a boolean one.
@@ -169,3 +171,115 @@ XLSXImporter_Methods_Repository.VALIDATIONS.VALUE_IN_LIST = function (row, field
 
 	return allowed.includes(value);
 };
+
+/**
+ * Return true when the value of a field is after the value of another field of the same row.
+ * 
+ * Both values are converted to dates before the comparison: numbers are read as Excel serial dates, any other value as a date string.
+ * 
+ * To use this methods in necessary to bind an object with the following values:
+ * - field: The field that must have the later value
+ * - after: The field that must have the earlier value
+ * - allowEmpty: True to pass the check even if one of the values is empty, false otherwise
+ * - dateSystem: (Optional) Date system of the Excel serial dates, 1900 (default) or 1904
+ * 
+ * Example:
+ * var context = {};
+ * context.field = "end_date";
+ * context.after = "start_date";
+ * context.allowEmpty = true;
+ * XLSXImporter_Methods_Repository.ROW_VALIDATIONS.IS_AFTER.bind(context);
+ */
+XLSXImporter_Methods_Repository.ROW_VALIDATIONS.IS_AFTER = function (row) {
+	// Extract the context binded to this method
+	var context = this;
+
+	// Extract the values
+	var value = row[context.field];
+	var other = row[context.after];
+
+	// Return a value based on the empty permission
+	if (gs.nil(value) || gs.nil(other)) return context.allowEmpty;
+
+	// Define a helper method
+	var _toDateTime = function(value) {
+		var _value = String(value).trim();
+		if (isNaN(_value)) return new GlideDateTime(_value);
+
+		// Excel serial dates are the number of days elapsed since the beginning of the date system (1970-01-01 is day 25569, or 24107 in the 1904 system)
+		var offset = context.dateSystem === 1904 ? 24107 : 25569;
+		var gdt = new GlideDateTime();
+		gdt.setNumericValue(Math.round((Number(_value) - offset) * 86400000));
+		return gdt;
+	};
+
+	return _toDateTime(value).getNumericValue() > _toDateTime(other).getNumericValue();
+};
+
+/**
+ * Return true when at least one of the binded fields has a value.
+ * 
+ * To use this methods in necessary to bind an object with the following values:
+ * - fields: Array of fields of which at least one must have a value
+ * 
+ * Example:
+ * var context = {};
+ * context.fields = ["email", "phone"];
+ * XLSXImporter_Methods_Repository.ROW_VALIDATIONS.AT_LEAST_ONE.bind(context);
+ */
+XLSXImporter_Methods_Repository.ROW_VALIDATIONS.AT_LEAST_ONE = function (row) {
+	// Extract the context binded to this method
+	var context = this;
+
+	// Define a helper method
+	var _hasValue = function(field) { return !gs.nil(row[field]); };
+
+	return context.fields.some(_hasValue);
+};
+
+/**
+ * Return the non-empty values of the binded fields joined by a separator.
+ * 
+ * To use this methods in necessary to bind an object with the following values:
+ * - fields: Array of fields to join, in order
+ * - separator: String used to join the values (a space if not defined)
+ * 
+ * Example:
+ * var context = {};
+ * context.fields = ["first_name", "last_name"];
+ * context.separator = " ";
+ * XLSXImporter_Methods_Repository.COMPUTES.CONCAT.bind(context);
+ */
+XLSXImporter_Methods_Repository.COMPUTES.CONCAT = function (row) {
+	// Extract the context binded to this method
+	var context = this;
+
+	// Define a helper method
+	var _hasValue = function(field) { return !gs.nil(row[field]); };
+	var _getValue = function(field) { return String(row[field]).trim(); };
+
+	var separator = gs.nil(context.separator) ? " " : context.separator;
+	return context.fields.filter(_hasValue).map(_getValue).join(separator);
+};
+
+/**
+ * Return the value of the first binded field having a value, null if all of them are empty.
+ * 
+ * To use this methods in necessary to bind an object with the following values:
+ * - fields: Array of fields to check, in order
+ * 
+ * Example:
+ * var context = {};
+ * context.fields = ["mobile_phone", "phone"];
+ * XLSXImporter_Methods_Repository.COMPUTES.FIRST_NOT_EMPTY.bind(context);
+ */
+XLSXImporter_Methods_Repository.COMPUTES.FIRST_NOT_EMPTY = function (row) {
+	// Extract the context binded to this method
+	var context = this;
+
+	for (var i = 0; i < context.fields.length; i++) {
+		if (!gs.nil(row[context.fields[i]])) return row[context.fields[i]];
+	}
+
+	return null;
+};
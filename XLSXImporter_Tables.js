@@ -0,0 +1,127 @@
+/**
+ * Definitions of the tables used by the optional functionalities of the XLSX Importer class (journal, configurations, run history).
+ *
+ * Run `XLSXImporter_Tables.create()` once from a background script (global scope, admin role) to create the missing tables and fields.
+ * Tables and fields already existing are left unchanged, so the script can be executed again after an update of the class.
+ *
+ * @author Samuele Berlusconi (GitHub: @SamueleBerlusconi)
+ * @license Apache-2.0
+ */
+var XLSXImporter_Tables = Class.create();
+
+/**
+ * Maximum length of the fields containing a JSON value.
+ */
+XLSXImporter_Tables.JSON_LENGTH = 65000;
+
+/**
+ * Tables used by the XLSX Importer class, with their fields.
+ *
+ * Every field has the name, the label and the internal type, optionally the maximum length and the referenced table.
+ */
+XLSXImporter_Tables.DEFINITIONS = [
+    {
+        name: XLSXImporter.TABLES.JOURNAL,
+        label: "XLSX Import Journal",
+        fields: [
+            { name: "u_run", label: "Run", type: "string", length: 40 },
+            { name: "u_sequence", label: "Sequence", type: "integer" },
+            { name: "u_table", label: "Table", type: "string", length: 80 },
+            { name: "u_record", label: "Record", type: "string", length: 32 },
+            { name: "u_operation", label: "Operation", type: "string", length: 40 },
+            { name: "u_previous", label: "Previous", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_mod_count", label: "Updates", type: "integer" }
+        ]
+    },
+    {
+        name: XLSXImporter.TABLES.CONFIGURATION,
+        label: "XLSX Import Configuration",
+        fields: [
+            { name: "u_name", label: "Name", type: "string", length: 100 },
+            { name: "u_active", label: "Active", type: "boolean" },
+            { name: "u_definition", label: "Definition", type: "string", length: XLSXImporter_Tables.JSON_LENGTH }
+        ]
+    },
+    {
+        name: XLSXImporter.TABLES.RUN,
+        label: "XLSX Import Run",
+        fields: [
+            { name: "u_table", label: "Table", type: "string", length: 80 },
+            { name: "u_attachment", label: "Attachment", type: "string", length: 32 },
+            { name: "u_definition", label: "Definition", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_state", label: "State", type: "string", length: 40 },
+            { name: "u_phase", label: "Phase", type: "string", length: 40 },
+            { name: "u_processed", label: "Processed", type: "integer" },
+            { name: "u_total", label: "Total", type: "integer" },
+            { name: "u_message", label: "Message", type: "string", length: 4000 },
+            { name: "u_result", label: "Result", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_row", label: "Checkpoint row", type: "integer" },
+            { name: "u_partial", label: "Checkpoint counters", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_user", label: "User", type: "reference", reference: "sys_user" },
+            { name: "u_options", label: "Options", type: "string", length: 4000 },
+            { name: "u_started", label: "Started", type: "glide_date_time" },
+            { name: "u_elapsed", label: "Elapsed", type: "integer" },
+            { name: "u_counts", label: "Counts", type: "string", length: 4000 }
+        ]
+    },
+    {
+        name: XLSXImporter.TABLES.LOG,
+        label: "XLSX Import Log",
+        fields: [
+            { name: "u_run", label: "Run", type: "string", length: 40 },
+            { name: "u_row", label: "Row", type: "integer" },
+            { name: "u_code", label: "Code", type: "integer" },
+            { name: "u_message", label: "Message", type: "string", length: 4000 },
+            { name: "u_target", label: "Target", type: "string", length: 100 },
+            { name: "u_stack", label: "Stack", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_errors", label: "Errors", type: "string", length: XLSXImporter_Tables.JSON_LENGTH },
+            { name: "u_values", label: "Values", type: "string", length: XLSXImporter_Tables.JSON_LENGTH }
+        ]
+    }
+];
+
+/**
+ * Create the missing tables and fields.
+ *
+ * @param {object[]} [definitions] Definitions of the tables to create, all the `XLSXImporter_Tables.DEFINITIONS` if not provided
+ * @return {String[]} Names of the created tables and fields, as "table" or "table.field"
+ */
+XLSXImporter_Tables.create = function(definitions) {
+    var _definitions = definitions || XLSXImporter_Tables.DEFINITIONS;
+    var created = [];
+
+    for (var i = 0; i < _definitions.length; i++) {
+        var definition = _definitions[i];
+
+        // Create the table, without the fields
+        if (!gs.tableExists(definition.name)) {
+            var grTable = new GlideRecord("sys_db_object");
+            grTable.initialize();
+            grTable.setValue("name", definition.name);
+            grTable.setValue("label", definition.label);
+            grTable.insert();
+            created.push(definition.name);
+        }
+
+        // Create the missing fields of the table
+        var grRecord = new GlideRecord(definition.name);
+        for (var j = 0; j < definition.fields.length; j++) {
+            var field = definition.fields[j];
+            if (grRecord.isValidField(field.name)) continue;
+
+            var grField = new GlideRecord("sys_dictionary");
+            grField.initialize();
+            grField.setValue("name", definition.name);
+            grField.setValue("element", field.name);
+            grField.setValue("column_label", field.label);
+            grField.setValue("internal_type", field.type);
+            if (!gs.nil(field.length)) grField.setValue("max_length", field.length);
+            if (!gs.nil(field.reference)) grField.setValue("reference", field.reference);
+            grField.insert();
+            created.push(definition.name + "." + field.name);
+        }
+    }
+
+    gs.info("XLSXImporter_Tables: " + (created.length > 0 ? "created " + created.join(", ") : "all the tables and fields already exist"));
+    return created;
+};
@@ -0,0 +1,316 @@
+/**
+ * Tests of the XLSX Importer class, executed from a background script.
+ *
+ * Run `XLSXImporter_Tests.run()` from a background script (global scope, admin role) on a non-production instance:
+ * the rows are read from memory instead of an Excel file and imported in a dedicated table, created if missing and emptied before every test.
+ *
+ * @author Samuele Berlusconi (GitHub: @SamueleBerlusconi)
+ * @license Apache-2.0
+ */
+var XLSXImporter_Tests = Class.create();
+
+/**
+ * Definition of the table where the rows are imported.
+ */
+XLSXImporter_Tests.TABLE = {
+    name: "u_xlsx_import_test",
+    label: "XLSX Import Test",
+    fields: [
+        { name: "u_code", label: "Code", type: "string", length: 40 },
+        { name: "u_name", label: "Name", type: "string", length: 100 },
+        { name: "u_quantity", label: "Quantity", type: "integer" },
+        { name: "u_price", label: "Price", type: "decimal" },
+        { name: "u_active", label: "Active", type: "boolean" },
+        { name: "u_due", label: "Due", type: "glide_date" }
+    ]
+};
+
+/**
+ * Files read by the tests, having as key the identifier used in place of the attachment SysID and as value the rows of the file.
+ */
+XLSXImporter_Tests.FILES = {};
+
+/**
+ * Tests to execute, every one receives the assertion function.
+ */
+XLSXImporter_Tests.TESTS = {};
+
+/**
+ * Values of every type are converted to the type of their field, the rows with values that cannot be converted are skipped.
+ */
+XLSXImporter_Tests.TESTS.COERCION = function(assert) {
+    var importer = XLSXImporter_Tests.createImporter("coercion", [
+        ["Code", "Quantity", "Price", "Active", "Due"],
+        ["C1", "1.200.000", "1.250,50", "Yes", "2026-01-31"],
+        ["C2", "7", "12.50", "n", "46053"],
+        ["C3", "many", "1.5", "true", "2026-01-31"],
+        ["C4", "1", "2", "maybe", "31 January"]
+    ]);
+    importer.coerce(true);
+
+    var result = importer.import("coercion");
+    assert(result.inserted === 2, "Two rows are inserted");
+    assert(result.data[0].code === XLSXImporter.RCODES.INSERTED, "Row with thousands and decimal separators is inserted");
+    assert(result.data[2].code === XLSXImporter.RCODES.INVALID_TYPE && result.data[2].target === "u_quantity", "Row with a text quantity is skipped");
+    assert(result.data[3].errors.length === 2, "Row with more invalid values lists every failing field");
+
+    var grFirst = XLSXImporter_Tests.getRecord("C1");
+    assert(grFirst.getValue("u_quantity") == "1200000", "Integer is read with the thousands separators");
+    assert(parseFloat(grFirst.getValue("u_price")) === 1250.5, "Decimal is read with a comma as decimal separator");
+    assert(grFirst.getValue("u_active") == "1", "Boolean is read from Yes");
+    assert(grFirst.getValue("u_due") == "2026-01-31", "Date is read from the yyyy-MM-dd format");
+
+    var grSecond = XLSXImporter_Tests.getRecord("C2");
+    assert(parseFloat(grSecond.getValue("u_price")) === 12.5, "Decimal is read with a dot as decimal separator");
+    assert(grSecond.getValue("u_active") == "0", "Boolean is read from N");
+    assert(grSecond.getValue("u_due") == "2026-01-31", "Date is read from the Excel numeric date");
+};
+
+/**
+ * Rows with the same coalescing values are resolved by the duplicates policy.
+ */
+XLSXImporter_Tests.TESTS.DUPLICATES = function(assert) {
+    var rows = [
+        ["Code", "Name"],
+        ["D1", "First"],
+        ["D1", "Second"],
+        ["D2", "Other"]
+    ];
+
+    var importer = XLSXImporter_Tests.createImporter("duplicates", rows);
+    importer.coalesce("u_code");
+
+    var result = importer.import("duplicates");
+    assert(result.data[0].code === XLSXImporter.RCODES.INSERTED && result.data[1].code === XLSXImporter.RCODES.UPDATED, "Without a policy the rows are imported in sequence");
+    assert(XLSXImporter_Tests.getRecord("D1").getValue("u_name") == "Second", "Without a policy the last row updates the record");
+
+    XLSXImporter_Tests.clean();
+    importer = XLSXImporter_Tests.createImporter("duplicates", rows);
+    importer.coalesce("u_code");
+    importer.duplicates(XLSXImporter.DUPLICATE_POLICIES.LAST_WINS);
+
+    result = importer.import("duplicates");
+    assert(result.data[0].code === XLSXImporter.RCODES.SKIPPED_DUPLICATE, "LAST_WINS skips the first row");
+    assert(result.data[1].code === XLSXImporter.RCODES.IMPORTED_DUPLICATE && result.data[1].operation == "insert", "LAST_WINS inserts the last row");
+    assert(XLSXImporter_Tests.getRecord("D1").getValue("u_name") == "Second", "LAST_WINS saves the values of the last row");
+
+    XLSXImporter_Tests.clean();
+    importer = XLSXImporter_Tests.createImporter("duplicates", rows);
+    importer.coalesce("u_code");
+    importer.duplicates(XLSXImporter.DUPLICATE_POLICIES.FIRST_WINS);
+
+    result = importer.import("duplicates");
+    assert(result.data[1].code === XLSXImporter.RCODES.SKIPPED_DUPLICATE, "FIRST_WINS skips the last row");
+    assert(XLSXImporter_Tests.getRecord("D1").getValue("u_name") == "First", "FIRST_WINS saves the values of the first row");
+
+    XLSXImporter_Tests.clean();
+    importer = XLSXImporter_Tests.createImporter("duplicates", rows);
+    importer.coalesce("u_code");
+    importer.duplicates(XLSXImporter.DUPLICATE_POLICIES.REJECT);
+
+    result = importer.import("duplicates");
+    assert(result.data[0].code === XLSXImporter.RCODES.SKIPPED_DUPLICATE && result.data[1].code === XLSXImporter.RCODES.SKIPPED_DUPLICATE, "REJECT skips all the duplicated rows");
+    assert(XLSXImporter_Tests.getRecord("D1") === null, "REJECT saves no record");
+    assert(result.data[2].code === XLSXImporter.RCODES.INSERTED, "REJECT inserts the other rows");
+};
+
+/**
+ * Records missing from the file are retired, unless some rows are not imported.
+ */
+XLSXImporter_Tests.TESTS.SYNC = function(assert) {
+    XLSXImporter_Tests.insert({ u_code: "S1", u_name: "Kept" });
+    XLSXImporter_Tests.insert({ u_code: "S2", u_name: "Missing" });
+
+    var importer = XLSXImporter_Tests.createImporter("sync", [
+        ["Code", "Name"],
+        ["S1", "Kept"],
+        ["S3", ""]
+    ]);
+    importer.coalesce("u_code");
+    importer.validate("u_name", "IS_NOT_EMPTY", "Name required");
+    importer.sync(XLSXImporter.SYNC_ACTIONS.SET, null, { u_name: "Retired" });
+
+    var result = importer.import("sync");
+    assert(result.sync.success === false && result.sync.retired === 0, "Nothing is retired when a row is not imported");
+    assert(XLSXImporter_Tests.getRecord("S2").getValue("u_name") == "Missing", "The missing record is not changed");
+
+    importer.syncOnFailures(true);
+    result = importer.import("sync");
+    assert(result.sync.success === true && result.sync.retired === 1, "The missing record is retired when allowed");
+    assert(XLSXImporter_Tests.getRecord("S2").getValue("u_name") == "Retired", "The missing record has the retired values");
+    assert(XLSXImporter_Tests.getRecord("S1").getValue("u_name") == "Kept", "The record in the file is not retired");
+
+    XLSXImporter_Tests.insert({ u_code: "S4", u_name: "Missing" });
+    importer = XLSXImporter_Tests.createImporter("sync_limit", [
+        ["Code", "Name"],
+        ["S1", "Kept"]
+    ]);
+    importer.coalesce("u_code");
+    importer.sync(XLSXImporter.SYNC_ACTIONS.DELETE);
+    importer.syncLimit(1);
+
+    result = importer.import("sync_limit");
+    assert(result.sync.success === false && result.sync.records.length === 2, "Nothing is deleted when the missing records exceed the limit");
+
+    importer.syncLimit(2);
+    result = importer.import("sync_limit");
+    assert(result.sync.retired === 2 && XLSXImporter_Tests.getRecord("S2") === null && XLSXImporter_Tests.getRecord("S4") === null, "The missing records are deleted");
+};
+
+/**
+ * Records of the rows outside the imported range are never retired.
+ */
+XLSXImporter_Tests.TESTS.SYNC_RANGE = function(assert) {
+    XLSXImporter_Tests.insert({ u_code: "R1", u_name: "First" });
+    XLSXImporter_Tests.insert({ u_code: "R2", u_name: "Second" });
+    XLSXImporter_Tests.insert({ u_code: "R3", u_name: "Missing" });
+
+    var importer = XLSXImporter_Tests.createImporter("sync_range", [
+        ["Code", "Name"],
+        ["R1", "First"],
+        ["R2", "Second"]
+    ]);
+    importer.coalesce("u_code");
+    importer.sync(XLSXImporter.SYNC_ACTIONS.DELETE);
+    importer.rows(3);
+
+    var result = importer.import("sync_range");
+    assert(result.rows === 1 && result.sync.success === false && result.sync.retired === 0, "Nothing is retired when a range of rows is imported");
+    assert(XLSXImporter_Tests.getRecord("R1") !== null && XLSXImporter_Tests.getRecord("R3") !== null, "The records outside the range are not retired");
+
+    importer.rows(null);
+    result = importer.import("sync_range");
+    assert(result.sync.retired === 1 && XLSXImporter_Tests.getRecord("R3") === null, "The missing record is retired when all the rows are imported");
+    assert(XLSXImporter_Tests.getRecord("R1") !== null && XLSXImporter_Tests.getRecord("R2") !== null, "The records in the file are not retired");
+};
+
+/**
+ * Execute the tests, logging the failed assertions.
+ *
+ * The files are read with the parser of the tests, restoring the parser of the importer at the end.
+ *
+ * @param {String[]} [names] Names of the tests to execute, all the `XLSXImporter_Tests.TESTS` if not provided
+ * @return {object} Number of passed and failed assertions, with the messages of the failed ones
+ */
+XLSXImporter_Tests.run = function(names) {
+    XLSXImporter_Tables.create([XLSXImporter_Tests.TABLE]);
+
+    var obj = {};
+    obj.passed = 0;
+    obj.failed = 0;
+    obj.messages = [];
+
+    var createParser = XLSXImporter.createParser;
+    XLSXImporter.createParser = function(attachment_sys_id) {
+        var rows = XLSXImporter_Tests.FILES[attachment_sys_id];
+        return gs.nil(rows) ? createParser(attachment_sys_id) : XLSXImporter_Tests.createParser(rows);
+    };
+
+    try {
+        var _names = names || Object.keys(XLSXImporter_Tests.TESTS);
+        for (var i = 0; i < _names.length; i++) {
+            var name = _names[i];
+
+            // Every assertion is counted, the failed ones are logged with the name of their test
+            var assert = function(condition, message) {
+                if (condition) {
+                    obj.passed++;
+                    return;
+                }
+
+                obj.failed++;
+                obj.messages.push(name + ": " + message);
+            };
+
+            XLSXImporter_Tests.clean();
+            try {
+                XLSXImporter_Tests.TESTS[name](assert);
+            } catch (e) {
+                assert(false, "unexpected error: " + e);
+            }
+        }
+        XLSXImporter_Tests.clean();
+    } finally {
+        XLSXImporter.createParser = createParser;
+    }
+
+    obj.messages.forEach(function(message) { gs.error("XLSXImporter_Tests: " + message); });
+    gs.info("XLSXImporter_Tests: " + obj.passed + " assertions passed, " + obj.failed + " failed");
+    return obj;
+};
+
+/**
+ * Create an importer on the test table, saving the rows of the file it reads.
+ *
+ * @param {String} file Identifier of the file, used in place of the attachment SysID
+ * @param {Array[]} rows Rows of the file, the first one has the headers
+ * @return {XLSXImporter} Importer of the test table
+ */
+XLSXImporter_Tests.createImporter = function(file, rows) {
+    XLSXImporter_Tests.FILES[file] = rows;
+    return new XLSXImporter(XLSXImporter_Tests.TABLE.name);
+};
+
+/**
+ * Create a parser reading the given rows, with the methods of `sn_impex.GlideExcelParser` used by the importer.
+ *
+ * @param {Array[]} rows Rows of the file, as arrays of cell values
+ * @return {object} Parser of the rows
+ */
+XLSXImporter_Tests.createParser = function(rows) {
+    var header = 0;
+    var index = 0;
+
+    var parser = {};
+    parser.setSource = function() {};
+    parser.getSheetNames = function() { return ["Sheet1"]; };
+    parser.setSheetName = function() {};
+    parser.setHeaderRowNumber = function(number) { header = number; };
+    parser.parse = function() {
+        index = header;
+        return true;
+    };
+    parser.getErrorMessage = function() { return ""; };
+    parser.getColumnHeaders = function() { return rows[header]; };
+    parser.next = function() { return ++index < rows.length; };
+    parser.getRow = function() {
+        var row = {};
+        for (var i = 0; i < rows[header].length; i++) row[rows[header][i]] = rows[index][i];
+        return row;
+    };
+    parser.close = function() {};
+    return parser;
+};
+
+/**
+ * Insert a record in the test table.
+ *
+ * @param {object} values Values of the record, by field name
+ * @return {SysID} SysID of the record
+ */
+XLSXImporter_Tests.insert = function(values) {
+    var grRecord = new GlideRecord(XLSXImporter_Tests.TABLE.name);
+    grRecord.initialize();
+    for (var field in values) grRecord.setValue(field, values[field]);
+    return grRecord.insert();
+};
+
+/**
+ * Get the record of the test table with the given code.
+ *
+ * @param {String} code Value of the `u_code` field
+ * @return {GlideRecord} Record found, null if no record has the code
+ */
+XLSXImporter_Tests.getRecord = function(code) {
+    var grRecord = new GlideRecord(XLSXImporter_Tests.TABLE.name);
+    return grRecord.get("u_code", code) ? grRecord : null;
+};
+
+/**
+ * Delete all the records of the test table.
+ */
+XLSXImporter_Tests.clean = function() {
+    var grRecord = new GlideRecord(XLSXImporter_Tests.TABLE.name);
+    grRecord.query();
+    grRecord.deleteMultiple();
+};
@@ -7,6 +7,11 @@ XLSXImporter.STATES = {
     SUCCESS: "success",
     PARSING_ERROR: "parsing_error",
     MISSING_REQUIRED_HEADER: "missing_required_header",
+    SHEET_NOT_FOUND: "sheet_not_found",
+    RUN_NOT_FOUND: "run_not_found",
+    ROLLBACK_CONFLICT: "rollback_conflict",
+    UNKNOWN_HEADER: "unknown_header",
+    CANCELLED: "cancelled",
 };
 
 /**
@@ -17,7 +22,661 @@ XLSXImporter.RCODES = {
     SKIPPED_EMPTY: 1,
     SKIPPED_EVENT: 2,
     SKIPPED_VALIDATION: 3,
-    ERROR: 4
+    ERROR: 4,
+    REFERENCE_NOT_FOUND: 5,
+    AMBIGUOUS_REFERENCE: 6,
+    INVALID_CHOICE: 7,
+    INVALID_TYPE: 8,
+    INSERTED: 9,
+    UPDATED: 10,
+    UNCHANGED: 11,
+    SKIPPED_DUPLICATE: 12,
+    MERGED_DUPLICATE: 13,
+    AMBIGUOUS_COALESCE: 14,
+    EMPTY_KEY: 15,
+    IMPORTED_DUPLICATE: 16
+};
+
+/**
+ * Tables used by the importer to store its data, not needed by the imports that do not use the related functionalities.
+ *
+ * The journal table keeps the changes of the imports with the journal enabled and needs the following fields:
+ * u_run (String), u_sequence (Integer), u_table (String), u_record (String), u_operation (String),
+ * u_previous (String, JSON of the previous values, all of them for the deleted records) and u_mod_count (Integer, updates count after the import).
+ *
+ * The configuration table keeps the import definitions and needs the following fields:
+ * u_name (String), u_active (True/False) and u_definition (String, JSON of the definition).
+ *
+ * The run table keeps the history of the imports (with the history enabled, in background or in batches) and needs the following fields:
+ * u_table (String), u_attachment (String), u_definition (String, JSON of the definition), u_state (String), u_phase (String),
+ * u_processed (Integer), u_total (Integer), u_message (String), u_result (String, JSON of the final import result without the row results),
+ * u_row (Integer, last row of the checkpoint), u_partial (String, JSON of the counters of the rows until the checkpoint),
+ * u_user (Reference to sys_user), u_options (String, JSON of the import modes), u_started (Date/Time),
+ * u_elapsed (Integer, milliseconds) and u_counts (String, JSON of the number of rows for every RCODE).
+ *
+ * The log table keeps the rows not imported successfully of every import in the run table and needs the following fields:
+ * u_run (String), u_row (Integer), u_code (Integer), u_message (String), u_target (String), u_stack (String),
+ * u_errors (String, JSON of the errors of the row) and u_values (String, JSON of the original values of the row).
+ */
+XLSXImporter.TABLES = {
+    JOURNAL: "u_xlsx_import_journal",
+    CONFIGURATION: "u_xlsx_import_configuration",
+    RUN: "u_xlsx_import_run",
+    LOG: "u_xlsx_import_log"
+};
+
+/**
+ * Possible states of a background import.
+ */
+XLSXImporter.RUN_STATES = {
+    QUEUED: "queued",
+    RUNNING: "running",
+    CANCELLING: "cancelling",
+    CANCELLED: "cancelled",
+    COMPLETE: "complete",
+    FAILED: "failed"
+};
+
+/**
+ * Possible phases of a running background import.
+ */
+XLSXImporter.PHASES = {
+    HEADERS: "headers",
+    SCAN: "scan",
+    ROWS: "rows",
+    SYNC: "sync"
+};
+
+/**
+ * Possible operations executed on a record of the target table.
+ */
+XLSXImporter.OPERATIONS = {
+    INSERT: "insert",
+    UPDATE: "update",
+    DELETE: "delete",
+    NONE: "none"
+};
+
+/**
+ * Severities of the validation methods: only failing methods with ERROR severity skip the row.
+ */
+XLSXImporter.SEVERITIES = {
+    ERROR: "error",
+    WARNING: "warning",
+    INFO: "info"
+};
+
+/**
+ * Possible behaviours when more rows of the same file have the same coalescing values.
+ */
+XLSXImporter.DUPLICATE_POLICIES = {
+    FIRST_WINS: "first_wins",
+    LAST_WINS: "last_wins",
+    MERGE: "merge",
+    REJECT: "reject"
+};
+
+/**
+ * Possible behaviours when a coalescing field of a row is empty.
+ */
+XLSXImporter.EMPTY_KEY_POLICIES = {
+    SKIP_GROUP: "skip_group",
+    SKIP_FIELD: "skip_field",
+    MATCH_EMPTY: "match_empty",
+    REJECT: "reject"
+};
+
+/**
+ * Possible actions on the records missing from the file when running in SYNC mode.
+ */
+XLSXImporter.SYNC_ACTIONS = {
+    DELETE: "delete",
+    DEACTIVATE: "deactivate",
+    SET: "set"
+};
+
+/**
+ * Possible behaviours when a cell value does not match any choice of a choice field.
+ */
+XLSXImporter.CHOICE_POLICIES = {
+    REJECT: "reject",
+    DEFAULT: "default",
+    CREATE: "create"
+};
+
+/**
+ * Create the parser of an Excel file, with the file as its source.
+ *
+ * Every file is read with the parser returned by this method, that can be replaced to read the rows from another source (e.g. in the tests):
+ * the returned object must have the methods of `sn_impex.GlideExcelParser` used by the importer.
+ *
+ * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+ * @return {sn_impex.GlideExcelParser} Parser of the file, not parsed yet
+ */
+XLSXImporter.createParser = function(attachment_sys_id) {
+    var attachment = new GlideSysAttachment();
+    var parser = new sn_impex.GlideExcelParser();
+    parser.setSource(attachment.getContentStream(attachment_sys_id));
+    return parser;
+};
+
+/**
+ * Import several worksheets of the same Excel file in a single call.
+ *
+ * Every importer is configured independently (target table, mappings, transformations, coalescing fields, etc.)
+ * and must have its worksheet selected with the `sheet` method.
+ *
+ * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+ * @param {XLSXImporter[]} importers List of importers, one for every worksheet to import, executed in order
+ * @return {object} Result of the operation, having as data the result of every worksheet
+ */
+XLSXImporter.importSheets = function(attachment_sys_id, importers) {
+    // Validate parameters
+    if (gs.nil(attachment_sys_id)) throw new Error("Invalid parameter: the 'attachment_sys_id' parameter is empty");
+    if (!Array.isArray(importers) || importers.length === 0) throw new Error("Invalid parameter: the 'importers' parameter is empty or not an array");
+
+    var start = new Date();
+
+    /**
+     * List of results of import for every worksheet.
+     */
+    var results = [];
+
+    // Import every worksheet with its own importer
+    for (var i = 0; i < importers.length; i++) {
+        if (!(importers[i] instanceof XLSXImporter)) throw new Error("Invalid parameter: the element " + i + " of the 'importers' parameter is not a XLSXImporter");
+        results.push(importers[i].import(attachment_sys_id));
+    }
+
+    // The whole operation has the code of the first failed worksheet (if any)
+    function isFailed(result) { return !result.success; }
+    var failed = results.filter(isFailed);
+
+    // Sum the processed rows of every worksheet
+    function sumRows(total, result) { return total + result.rows; }
+
+    var obj = {};
+    obj.success = failed.length === 0;
+    obj.code = obj.success ? XLSXImporter.STATES.SUCCESS : failed[0].code;
+    obj.message = obj.success ? "All the worksheets were imported successfully" : failed.length + " worksheet(s) could not be imported";
+    obj.rows = results.reduce(sumRows, 0);
+    obj.elapsed = new Date() - start;
+    obj.data = results;
+    return obj;
+};
+
+/**
+ * Revert the changes of a completed import: inserted records are deleted, updated records get back their previous values
+ * and records deleted by the synchronization are created again.
+ *
+ * Records changed again after the import are reported as conflicts and left untouched, unless forced.
+ * Reverted changes are removed from the journal, so the rollback can be executed again to retry the conflicting ones.
+ *
+ * @param {String} runId Identifier of the import, returned in the `run` property of the import result
+ * @param {Boolean} [force] True to revert also the records changed after the import
+ * @return {object} Result of the operation, having as data the deleted, restored and conflicting records
+ */
+XLSXImporter.rollback = function(runId, force) {
+    // Validate parameters
+    if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+    if (!gs.tableExists(XLSXImporter.TABLES.JOURNAL)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.JOURNAL + "' exists in the database");
+
+    var start = new Date();
+
+    /**
+     * Changes of the import grouped by record, in the order they were executed.
+     */
+    var records = [];
+    var recordsMap = {};
+
+    var grJournal = new GlideRecord(XLSXImporter.TABLES.JOURNAL);
+    grJournal.addQuery("u_run", runId);
+    grJournal.orderBy("u_sequence");
+    grJournal.query();
+
+    while (grJournal.next()) {
+        var key = grJournal.getValue("u_table") + "|" + grJournal.getValue("u_record");
+
+        // The first change defines the operation to revert, the last one the updates count after the import
+        if (!recordsMap[key]) {
+            recordsMap[key] = {};
+            recordsMap[key].table = grJournal.getValue("u_table");
+            recordsMap[key].sys_id = grJournal.getValue("u_record");
+            recordsMap[key].operation = grJournal.getValue("u_operation");
+            recordsMap[key].previous = {};
+            recordsMap[key].entries = [];
+            records.push(recordsMap[key]);
+        }
+        recordsMap[key].modCount = parseInt(grJournal.getValue("u_mod_count"), 10);
+        recordsMap[key].entries.push(grJournal.getUniqueValue());
+
+        // Keep the oldest value of every updated field
+        var previous = JSON.parse(grJournal.getValue("u_previous") || "{}");
+        for (var field in previous) {
+            if (!recordsMap[key].previous.hasOwnProperty(field)) recordsMap[key].previous[field] = previous[field];
+        }
+    }
+
+    /**
+     * Container of the rollback operation.
+     */
+    var data = {};
+    data.deleted = [];
+    data.restored = [];
+    data.conflicts = [];
+
+    // Revert the records starting from the last one changed
+    for (var i = records.length - 1; i >= 0; i--) {
+        var record = records[i];
+
+        var conflict = {};
+        conflict.table = record.table;
+        conflict.sys_id = record.sys_id;
+        conflict.operation = record.operation;
+
+        var grRecord = new GlideRecord(record.table);
+        var exists = grRecord.get(record.sys_id);
+        var fields = Object.keys(record.previous);
+
+        // A deleted record is created again with the same SysID, unless another record took its place
+        if (record.operation == XLSXImporter.OPERATIONS.DELETE) {
+            if (exists) {
+                conflict.message = "The record was created again after the import";
+                data.conflicts.push(conflict);
+                continue;
+            }
+
+            grRecord.initialize();
+            grRecord.setNewGuidValue(record.sys_id);
+            for (var k = 0; k < fields.length; k++) grRecord.setValue(fields[k], record.previous[fields[k]]);
+            grRecord.insert();
+            data.restored.push(record.sys_id);
+        } else {
+            // The record could have been deleted after the import
+            if (!exists) {
+                conflict.message = "The record no longer exists";
+                data.conflicts.push(conflict);
+                continue;
+            }
+
+            // The record could have been changed after the import
+            if (!force && parseInt(grRecord.getValue("sys_mod_count"), 10) !== record.modCount) {
+                conflict.message = "The record was changed after the import";
+                data.conflicts.push(conflict);
+                continue;
+            }
+
+            if (record.operation == XLSXImporter.OPERATIONS.INSERT) {
+                grRecord.deleteRecord();
+                data.deleted.push(record.sys_id);
+            } else {
+                for (var j = 0; j < fields.length; j++) grRecord.setValue(fields[j], record.previous[fields[j]]);
+                grRecord.update();
+                data.restored.push(record.sys_id);
+            }
+        }
+
+        // Remove the reverted changes from the journal
+        grJournal = new GlideRecord(XLSXImporter.TABLES.JOURNAL);
+        grJournal.addQuery("sys_id", "IN", record.entries.join(","));
+        grJournal.deleteMultiple();
+    }
+
+    var obj = {};
+    obj.success = records.length > 0 && data.conflicts.length === 0;
+    obj.code = records.length === 0 ? XLSXImporter.STATES.RUN_NOT_FOUND : (obj.success ? XLSXImporter.STATES.SUCCESS : XLSXImporter.STATES.ROLLBACK_CONFLICT);
+    obj.message = records.length === 0 ? "No changes to revert found for the import " + runId : data.deleted.length + " record(s) deleted, " + data.restored.length + " record(s) restored, " + data.conflicts.length + " conflict(s)";
+    obj.run = runId;
+    obj.rows = records.length;
+    obj.elapsed = new Date() - start;
+    obj.data = data;
+    return obj;
+};
+
+/**
+ * Create an importer from a definition, as returned by the `toDefinition` method.
+ *
+ * Transformation and validation methods are referenced by name from the `XLSXImporter_Methods_Repository` class.
+ *
+ * @param {object|String} definition Definition of the importer, as object or JSON string
+ * @return {XLSXImporter} Importer configured as described by the definition
+ */
+XLSXImporter.fromDefinition = function(definition) {
+    // Validate parameters
+    var _definition = typeof definition == "string" ? JSON.parse(definition) : definition;
+    if (gs.nil(_definition) || typeof _definition != "object") throw new Error("Invalid parameter: the 'definition' parameter is empty or not an object");
+
+    var importer = new XLSXImporter(_definition.table);
+    var options = _definition.options || {};
+
+    // Enable the debug mode first, so the whole configuration is logged
+    if (options.debug === true) importer.debug(true);
+
+    // Worksheet, header and rows of the file
+    if (!gs.nil(_definition.sheet)) importer.sheet(_definition.sheet);
+    if (!gs.nil(_definition.headerRow)) importer.headerRow(_definition.headerRow);
+    if (_definition.headerless === true) importer.headerless(true);
+    if (_definition.positional === true) importer.positional(true);
+    if (!gs.nil(_definition.rows)) importer.rows(gs.nil(_definition.rows.first) ? null : _definition.rows.first, _definition.rows.last);
+
+    // Mappings, transformations and validations of the fields
+    var mappings = _definition.mappings || {};
+    for (var header in mappings) importer.map(header, mappings[header]);
+
+    var transforms = _definition.transforms || {};
+    for (var tField in transforms) {
+        for (var i = 0; i < transforms[tField].length; i++) importer.transform(tField, transforms[tField][i].name, transforms[tField][i].params);
+    }
+
+    var computes = _definition.computes || [];
+    for (var c = 0; c < computes.length; c++) importer.compute(computes[c].field, computes[c].name, computes[c].params);
+
+    // Scripted default values are methods of the repository
+    var defaults = _definition.defaults || {};
+    for (var dField in defaults) {
+        if (gs.nil(defaults[dField].name)) importer.defaultValue(dField, defaults[dField].value);
+        else importer.defaultValue(dField, XLSXImporter_Methods_Repository.COMPUTES[defaults[dField].name], defaults[dField].params);
+    }
+
+    var validations = _definition.validations || {};
+    for (var vField in validations) {
+        for (var j = 0; j < validations[vField].length; j++) importer.validate(vField, validations[vField][j].name, validations[vField][j].message, validations[vField][j].params, validations[vField][j].severity);
+    }
+
+    var rowValidations = _definition.rowValidations || [];
+    for (var r = 0; r < rowValidations.length; r++) importer.validateRow(rowValidations[r].name, rowValidations[r].message, rowValidations[r].params, rowValidations[r].severity);
+
+    // Coalescing fields, ignored and required headers
+    var coalesce = _definition.coalesce || [];
+    for (var g = 0; g < coalesce.length; g++) {
+        // Fields of the default group can be listed by name
+        if (typeof coalesce[g] == "string") importer.coalesce(coalesce[g]);
+        else {
+            for (var f = 0; f < coalesce[g].fields.length; f++) importer.coalesce(coalesce[g].fields[f], coalesce[g].name);
+        }
+    }
+    if (!gs.nil(_definition.coalesceScope)) importer.coalesceScope(_definition.coalesceScope);
+    if (!gs.nil(_definition.emptyKeys)) importer.emptyKeys(_definition.emptyKeys);
+    if (!gs.nil(_definition.preload)) importer.preload(_definition.preload.active === true, _definition.preload.filter);
+    var related = _definition.related || {};
+    for (var name in related) importer.related(name, XLSXImporter.fromDefinition(related[name].definition), related[name].field, related[name].labels);
+
+    if (!gs.nil(_definition.sync)) {
+        if (!gs.nil(_definition.sync.action)) importer.sync(_definition.sync.action, _definition.sync.scope, _definition.sync.values);
+        if (!gs.nil(_definition.sync.limit)) importer.syncLimit(_definition.sync.limit);
+        if (_definition.sync.onFailures === true) importer.syncOnFailures(true);
+    }
+    if (!gs.nil(_definition.duplicates)) importer.duplicates(_definition.duplicates);
+    if (!gs.nil(_definition.batch)) importer.batch(_definition.batch);
+    (_definition.ignore || []).forEach(importer.ignore, importer);
+    (_definition.require || []).forEach(importer.require, importer);
+
+    // References and choices
+    var lookups = _definition.lookups || {};
+    for (var lField in lookups) importer.lookup(lField, lookups[lField]);
+
+    var choicePolicies = _definition.choicePolicies || {};
+    for (var cField in choicePolicies) importer.choice(cField, choicePolicies[cField].policy, choicePolicies[cField].value);
+
+    if (!gs.nil(_definition.language)) importer.language(_definition.language);
+
+    // Import modes, every option has the name of the method that sets it
+    var OPTIONS = ["virtual", "journal", "history", "sloppy", "normalizeKeys", "collect", "fuzzy", "strict", "references", "choices", "coerce", "dateSystem", "decimalSeparator"];
+    for (var k = 0; k < OPTIONS.length; k++) {
+        if (!gs.nil(options[OPTIONS[k]])) importer[OPTIONS[k]](options[OPTIONS[k]]);
+    }
+
+    return importer;
+};
+
+/**
+ * Create an importer from the definition stored in an active record of the configuration table.
+ *
+ * @param {String} name Name of the import configuration
+ * @return {XLSXImporter} Importer configured as described by the stored definition
+ */
+XLSXImporter.fromConfiguration = function(name) {
+    // Validate parameters
+    if (gs.nil(name) || typeof name != "string") throw new Error("Invalid parameter: the 'name' parameter is empty or not a string");
+    if (!gs.tableExists(XLSXImporter.TABLES.CONFIGURATION)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.CONFIGURATION + "' exists in the database");
+
+    // Get the active configuration with the given name
+    var grConfiguration = new GlideRecord(XLSXImporter.TABLES.CONFIGURATION);
+    grConfiguration.addQuery("u_name", name);
+    grConfiguration.addQuery("u_active", true);
+    grConfiguration.setLimit(1);
+    grConfiguration.query();
+    if (!grConfiguration.next()) throw new Error("Invalid parameter: no active import configuration with name '" + name + "' exists");
+
+    return XLSXImporter.fromDefinition(grConfiguration.getValue("u_definition"));
+};
+
+/**
+ * Execute a background import, as scheduled by the `importInBackground` method.
+ *
+ * The importer is created from the definition stored in the run record, which keeps the progress and the final result of the import.
+ * Imports cancelled before starting are not executed.
+ *
+ * @param {String} runId Identifier of the background import, returned by the `importInBackground` method
+ */
+XLSXImporter.execute = function(runId) {
+    // Validate parameters
+    if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+    if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+
+    var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+    if (!grRun.get(runId)) throw new Error("Invalid parameter: no background import with identifier '" + runId + "' exists");
+    if (grRun.getValue("u_state") != XLSXImporter.RUN_STATES.QUEUED) return;
+
+    var importer;
+    try {
+        importer = XLSXImporter.fromDefinition(grRun.getValue("u_definition"));
+    } catch (ex) {
+        grRun.setValue("u_state", XLSXImporter.RUN_STATES.FAILED);
+        grRun.setValue("u_message", ex.message);
+        grRun.update();
+        return;
+    }
+
+    // Continue from the last checkpoint, if any
+    importer._runJob(runId, grRun.getValue("u_attachment"));
+};
+
+/**
+ * Schedule again a background import stopped before its end, continuing from its last checkpoint.
+ *
+ * An import still running is resumed only when its run record was not updated for longer than the timeout, as its job was stopped without ending it.
+ *
+ * @param {String} runId Identifier of the background import, returned by the `importInBackground` method
+ * @param {Number} [timeout] Minutes without updates after which a running import is considered stopped, 30 if not provided
+ * @return {Boolean} True if the import was scheduled, false if not found, not executed in background, still queued or running or already complete
+ */
+XLSXImporter.resumeInBackground = function(runId, timeout) {
+    // Validate parameters
+    if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+    if (!gs.nil(timeout) && (typeof timeout != "number" || timeout <= 0)) throw new Error("Invalid parameter: the 'timeout' parameter is not a positive number");
+    if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+
+    var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+    if (!grRun.get(runId) || gs.nil(grRun.getValue("u_definition"))) return false;
+
+    var RESUMABLE = [XLSXImporter.RUN_STATES.CANCELLED, XLSXImporter.RUN_STATES.FAILED];
+    if (RESUMABLE.indexOf(grRun.getValue("u_state")) == -1 && !XLSXImporter.prototype._isStale(grRun, timeout)) return false;
+
+    grRun.setValue("u_state", XLSXImporter.RUN_STATES.QUEUED);
+    grRun.update();
+
+    // Schedule the import once, as soon as possible
+    var job = new ScheduleOnce();
+    job.script = "XLSXImporter.execute('" + runId + "');";
+    job.setLabel("XLSXImporter background import " + runId);
+    job.schedule();
+
+    return true;
+};
+
+/**
+ * Get the progress of a background import and its result when completed.
+ *
+ * @param {String} runId Identifier of the background import, returned by the `importInBackground` method
+ * @return {object} Result of the operation, having the state, the phase, the processed and total rows and the import result (without the row results) of the background import
+ */
+XLSXImporter.status = function(runId) {
+    // Validate parameters
+    if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+    if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+
+    var obj = {};
+    obj.run = runId;
+
+    var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+    if (!grRun.get(runId)) {
+        obj.success = false;
+        obj.code = XLSXImporter.STATES.RUN_NOT_FOUND;
+        obj.message = "No background import found with identifier " + runId;
+        return obj;
+    }
+
+    obj.success = true;
+    obj.code = XLSXImporter.STATES.SUCCESS;
+    obj.message = grRun.getValue("u_message") || "";
+    obj.state = grRun.getValue("u_state");
+    obj.phase = grRun.getValue("u_phase") || null;
+    obj.processed = parseInt(grRun.getValue("u_processed"), 10) || 0;
+    obj.total = parseInt(grRun.getValue("u_total"), 10) || 0;
+    obj.result = gs.nil(grRun.getValue("u_result")) ? null : JSON.parse(grRun.getValue("u_result"));
+    return obj;
+};
+
+/**
+ * Cancel a background import: a queued import is never executed, a running one stops before reading its next rows.
+ *
+ * The rows imported before the cancellation are kept and can be reverted with the `rollback` method.
+ *
+ * @param {String} runId Identifier of the background import, returned by the `importInBackground` method
+ * @return {Boolean} True if the import was cancelled or will be cancelled, false if not found or already ended
+ */
+XLSXImporter.cancel = function(runId) {
+    // Validate parameters
+    if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+    if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+
+    var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+    if (!grRun.get(runId)) return false;
+
+    // An import whose job was stopped without ending it cannot stop by itself
+    var state = grRun.getValue("u_state");
+    if (state == XLSXImporter.RUN_STATES.QUEUED || XLSXImporter.prototype._isStale(grRun)) grRun.setValue("u_state", XLSXImporter.RUN_STATES.CANCELLED);
+    else if (state == XLSXImporter.RUN_STATES.RUNNING) grRun.setValue("u_state", XLSXImporter.RUN_STATES.CANCELLING);
+    else return false;
+
+    grRun.update();
+    return true;
+};
+
+/**
+ * Create a CSV report with the rows of an import not imported successfully and attach it to a record.
+ *
+ * The report has the original values of every skipped or failed row (empty rows excluded), in the same columns of the file,
+ * followed by the row number, the `XLSXImporter.RCODES` code name, the message and the failing fields of the row.
+ * The rows of an import saved in the history are read from the log table, so that the rows imported before a checkpoint are reported too.
+ *
+ * Values starting with `=`, `+`, `-` or `@` (except the signed numbers) are prefixed with a quote, not to be evaluated as formulas by spreadsheet applications.
+ *
+ * @param {ImportResult|String} result Result of the import, as returned by the `import` method, or identifier of an import saved in the history
+ * @param {String} table Table of the record where the report is attached
+ * @param {SysID} sys_id SysID of the record where the report is attached
+ * @param {String} [fileName] Name of the report file, "xlsx_import_report.csv" if not provided
+ * @return {SysID} SysID of the report in the attachment table, null if all the rows were imported successfully
+ */
+XLSXImporter.report = function(result, table, sys_id, fileName) {
+    // Validate parameters
+    if (gs.nil(result) || (typeof result != "object" && typeof result != "string")) throw new Error("Invalid parameter: the 'result' parameter is empty or not an object or a string");
+    if (gs.nil(table) || typeof table != "string") throw new Error("Invalid parameter: the 'table' parameter is empty or not a string");
+    if (gs.nil(sys_id)) throw new Error("Invalid parameter: the 'sys_id' parameter is empty");
+
+    var grRecord = new GlideRecord(table);
+    if (!grRecord.get(sys_id)) throw new Error("Invalid parameter: no record with SysID '" + sys_id + "' exists in the table '" + table + "'");
+
+    // Only the imports with a run record (saved in the history or executed in background) have their rows in the log
+    var grRun = null;
+    if (typeof result == "string") {
+        if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+        if (!gs.tableExists(XLSXImporter.TABLES.LOG)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.LOG + "' exists in the database");
+
+        grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(result)) throw new Error("Invalid parameter: no import with identifier '" + result + "' exists");
+    } else if (!gs.nil(result.run) && gs.tableExists(XLSXImporter.TABLES.RUN) && gs.tableExists(XLSXImporter.TABLES.LOG)) {
+        // The identifier of a journaled import without history has no run record
+        grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(result.run)) grRun = null;
+    }
+
+    var headers = typeof result == "string" ? null : result.headers;
+    var failed = [];
+
+    if (grRun !== null) {
+        // Read the headers from the saved result when not provided
+        var saved = grRun.getValue("u_result");
+        if (gs.nil(headers) && !gs.nil(saved)) headers = JSON.parse(saved).headers;
+
+        // Read the rows not imported successfully from the log
+        var grLog = new GlideRecord(XLSXImporter.TABLES.LOG);
+        grLog.addQuery("u_run", grRun.getUniqueValue());
+        grLog.orderBy("u_row");
+        grLog.query();
+        while (grLog.next()) {
+            var values = grLog.getValue("u_values");
+            var errors = grLog.getValue("u_errors");
+
+            var obj = {};
+            obj.row = parseInt(grLog.getValue("u_row"), 10);
+            obj.code = parseInt(grLog.getValue("u_code"), 10);
+            obj.message = grLog.getValue("u_message");
+            obj.target = grLog.getValue("u_target");
+            obj.errors = gs.nil(errors) ? [] : JSON.parse(errors);
+            obj.values = gs.nil(values) ? {} : JSON.parse(values);
+            failed.push(obj);
+        }
+    } else {
+        // Row results are only available when the rows were read
+        var rows = result.rows > 0 && Array.isArray(result.data) ? result.data : [];
+        failed = rows.filter(XLSXImporter.prototype._isFailedRow);
+    }
+    if (failed.length === 0) return null;
+
+    // Use the columns of the file, or the ones of the rows when the headers were not read
+    var columns = gs.nil(headers) ? Object.keys(failed[0].values || {}) : headers.columns;
+
+    // Name every response code
+    var names = {};
+    for (var name in XLSXImporter.RCODES) names[XLSXImporter.RCODES[name]] = name;
+
+    // Quote every value, doubling the quotes inside it and neutralizing the formulas (signed numbers are left as they are)
+    var quote = function(value) {
+        var text = gs.nil(value) ? "" : String(value);
+        if (/^[=+\-@]/.test(text) && !/^[+\-]?\d+([.,]\d+)*$/.test(text)) text = "'" + text;
+        return "\"" + text.replace(/"/g, "\"\"") + "\"";
+    };
+    var getValues = function(values) { return columns.map(function(column) { return values[column]; }); };
+    var getField = function(error) { return error.field; };
+    var isField = function(field) { return !gs.nil(field); };
+
+    var lines = [];
+    lines.push(columns.concat(["Import Row", "Import Code", "Import Message", "Import Field"]).map(quote).join(","));
+    for (var i = 0; i < failed.length; i++) {
+        var line = getValues(failed[i].values || {});
+
+        // Rows failing more validations have all their fields
+        var fields = (failed[i].errors || []).map(getField).filter(isField);
+        if (fields.length === 0 && !gs.nil(failed[i].target)) fields.push(failed[i].target);
+
+        line.push(failed[i].row, names[failed[i].code], failed[i].message, fields.join(", "));
+        lines.push(line.map(quote).join(","));
+    }
+
+    var attachment = new GlideSysAttachment();
+    return String(attachment.write(grRecord, fileName || "xlsx_import_report.csv", "text/csv", lines.join("\r\n")));
 };
 
 /**
@@ -43,7 +702,7 @@ XLSXImporter.prototype = {
         /**
          * List of allowed events for this class.
          */
-        this.ALLOWED_EVENTS = ["onCoalesce", "onRowRead", "onRowValidating", "onRowValidated", "onRowTransformed", "onRowImported"];
+        this.ALLOWED_EVENTS = ["onImportStart", "onImportEnd", "onHeaderMissing", "onCoalesce", "onRowRead", "onRowValidating", "onRowValidated", "onRowTransformed", "onRowImported", "onRowError"];
 
         /**
          * Possible messages to return for every row used to indicate the result of the parsing.
@@ -54,6 +713,18 @@ XLSXImporter.prototype = {
         this.MESSAGES[XLSXImporter.RCODES.SKIPPED_EVENT] = "Record skipped after result of event: ";
         this.MESSAGES[XLSXImporter.RCODES.SKIPPED_VALIDATION] = "Record skipped after validation failed: ";
         this.MESSAGES[XLSXImporter.RCODES.ERROR] = "Record skipped due to unexpected error";
+        this.MESSAGES[XLSXImporter.RCODES.REFERENCE_NOT_FOUND] = "Record skipped because no referenced record matches the value of field: ";
+        this.MESSAGES[XLSXImporter.RCODES.AMBIGUOUS_REFERENCE] = "Record skipped because more than one referenced record matches the value of field: ";
+        this.MESSAGES[XLSXImporter.RCODES.INVALID_CHOICE] = "Record skipped because the value is not a valid choice of field: ";
+        this.MESSAGES[XLSXImporter.RCODES.INVALID_TYPE] = "Record skipped because the value cannot be converted to the type of field: ";
+        this.MESSAGES[XLSXImporter.RCODES.INSERTED] = "Record inserted correctly";
+        this.MESSAGES[XLSXImporter.RCODES.UPDATED] = "Record updated correctly";
+        this.MESSAGES[XLSXImporter.RCODES.UNCHANGED] = "Record not updated because no value changed";
+        this.MESSAGES[XLSXImporter.RCODES.SKIPPED_DUPLICATE] = "Record skipped because the file has the same coalescing values in row: ";
+        this.MESSAGES[XLSXImporter.RCODES.MERGED_DUPLICATE] = "Record merged with the one having the same coalescing values in row: ";
+        this.MESSAGES[XLSXImporter.RCODES.AMBIGUOUS_COALESCE] = "Record skipped because more than one record matches the coalescing values of group: ";
+        this.MESSAGES[XLSXImporter.RCODES.EMPTY_KEY] = "Record skipped because the value is empty for the coalescing field: ";
+        this.MESSAGES[XLSXImporter.RCODES.IMPORTED_DUPLICATE] = "Record imported in place of the rows with the same coalescing values: ";
 
         /**
          * Enabling the debug mode will allow to log in details what happens under the hood of the import process.
@@ -69,6 +740,43 @@ XLSXImporter.prototype = {
          * Note: Imported data could be damaged and/or invalid.
          */
         this._sloppy = false;
+        /**
+         * Whether to run every validation method of a row and collect all the errors,
+         * instead of stopping at the first failing one.
+         */
+        this._collect = false;
+        /**
+         * Worksheet to import, as name (String) or zero-based index (Number).
+         *
+         * When null the default worksheet opened by the parser is used.
+         */
+        this._sheet = null;
+        /**
+         * Number of the row containing the headers, as shown in Excel (starting from 1).
+         */
+        this._headerRow = 1;
+        /**
+         * A headerless import reads every row of the file as data, starting from the first one.
+         *
+         * Columns are identified by their position, so the positional mode is always active.
+         */
+        this._headerless = false;
+        /**
+         * A positional import identifies the columns by their letter (A, B, ..., AA) instead of their header.
+         */
+        this._positional = false;
+        /**
+         * Number of the first row to import, as shown in Excel (null to start right after the header row).
+         */
+        this._firstRow = null;
+        /**
+         * Number of the last row to import, as shown in Excel (null to import until the end of the file).
+         */
+        this._lastRow = null;
+        /**
+         * Headers of the file currently imported, in the same order of the columns.
+         */
+        this._columns = [];
         /**
          * Target table for the imported records.
          */
@@ -87,6 +795,20 @@ XLSXImporter.prototype = {
          * Every transform method must accept only one parameter and return only one transformed value.
          */
         this._transforms = {};
+        /**
+         * Array containing all the computed fields, in the order they are computed.
+         *
+         * Every element is an object with the field name and the compute function.
+         *
+         * Every compute method must accept only one value (row value) and return only one value (field value).
+         */
+        this._computes = [];
+        /**
+         * Object containing the default values of the fields absent or empty in the file.
+         *
+         * Has as key the fields' names and as value an object with the constant value or the compute function.
+         */
+        this._defaults = {};
         /**
          * Object containing all the value validation functions.
          *
@@ -95,10 +817,100 @@ XLSXImporter.prototype = {
          * Every validation method must accept only two value (row value and field name) and return only one value (validation value).
          */
         this._validations = {};
+        /**
+         * Array containing all the row validation functions, executed after the validation functions of the fields.
+         *
+         * Every element is an object with the validation function and the related error message.
+         *
+         * Every row validation method must accept only one value (row value) and return only one value (validation value).
+         */
+        this._rowValidations = [];
+        /**
+         * Array containing the failures of the validation methods without ERROR severity for the row being parsed.
+         */
+        this._rowWarnings = [];
         /**
          * Array containing all the fields used to verify if a record already exists in the table.
          */
         this._coalescing = [];
+        /**
+         * Array containing the groups of coalescing fields, tried in order until one of them matches a record.
+         *
+         * Every element is an object with the name of the group and the array of its fields.
+         */
+        this._coalesceGroups = [];
+        /**
+         * Encoded query limiting the records that can be matched by the coalescing fields, null to search the whole table.
+         */
+        this._coalesceScope = null;
+        /**
+         * Behaviour when a coalescing field of a row is empty, one of the `XLSXImporter.EMPTY_KEY_POLICIES` values.
+         */
+        this._emptyKeyPolicy = XLSXImporter.EMPTY_KEY_POLICIES.SKIP_FIELD;
+        /**
+         * Whether to match the coalescing values ignoring case and whitespaces.
+         */
+        this._normalizeKeys = false;
+        /**
+         * Whether to load the coalescing values of the target table once, instead of querying the table for every row.
+         */
+        this._preload = false;
+        /**
+         * Encoded query limiting the records loaded in the coalescing index, null to load every record in the coalescing scope.
+         */
+        this._preloadFilter = null;
+        /**
+         * Coalescing index of the current import, null when the PRELOAD mode is disabled.
+         *
+         * Has as keys the coalescing groups' names and the SysIDs of the records by coalescing values,
+         * and as records the coalescing values of every SysID.
+         */
+        this._index = null;
+        /**
+         * Action executed on the records missing from the file, one of the `XLSXImporter.SYNC_ACTIONS` values (null to disable the SYNC mode).
+         */
+        this._syncAction = null;
+        /**
+         * Encoded query limiting the records that can be retired by the SYNC mode, null to use every record in the coalescing scope.
+         */
+        this._syncScope = null;
+        /**
+         * Values set on the records missing from the file by the SET action, having as key the fields' names.
+         */
+        this._syncValues = {};
+        /**
+         * Maximum number of records that can be retired by the SYNC mode, nothing is retired when more records are missing from the file.
+         */
+        this._syncLimit = 100;
+        /**
+         * Whether to retire the records missing from the file even when some rows of the file are not imported.
+         */
+        this._syncOnFailures = false;
+        /**
+         * Object containing the related targets, importing other records from the same rows.
+         *
+         * Has as key the name of the related target and as value an object with the importer, the field referencing the primary record
+         * and whether the label mappings are used (`labels`).
+         */
+        this._related = {};
+        /**
+         * Values added to every row when imported as related target, like the SysID of the primary record (null when not imported as related target).
+         */
+        this._parentValues = null;
+        /**
+         * Whether to match the headers to the mappings ignoring punctuation, accents and plurals when no exact mapping exists.
+         */
+        this._fuzzy = false;
+        /**
+         * Whether to fail the import when the file has headers not mapped to any field.
+         */
+        this._strict = false;
+        /**
+         * Object containing the fields of the headers of the current import, resolved once for every header.
+         *
+         * Has as key the normalized headers and as value the field name (null for unmapped headers).
+         */
+        this._headerFields = {};
         /**
          * Array containing all the headers to ignore.
          */
@@ -110,94 +922,463 @@ XLSXImporter.prototype = {
         /**
          * Object containing all the methods to execute on a specific event.
          *
-         * Has as key the event names and as values callback to execute.
+         * Has as key the event names and as values the array of callbacks to execute, in registration order.
          */
         this._events = {};
-
-        // Create the default mapping for this tale
-        this._mapLabelWithName();
-
-        this._trace("Class correctly initialized for table: " + this.table);
-    },
-
-    /* ################################ Start Public Methods ################################ */
-
-    /**
-     * Execute the import process from the given Excel file.
-     *
-     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
-     * @return {object} Result of the operation
-     */
-    import: function(attachment_sys_id) {
-        // Save the start time of the process
-        this._start = new Date();
-        this._trace("Starting import process at " + this._start.toString());
-        this._trace("Attachment SysID used for import: " + attachment_sys_id);
-
-        // Notify the mode the import is running on
-        if (this._virtual) this._trace("Import running in VIRTUAL mode: no data will be saved in the database");
-        if (this._sloppy) this._trace("Import running in SLOPPY mode: no validation controls will be performed");
-
-        // Get a stream from the attachment file
-        var attachment = new GlideSysAttachment();
-        var stream = attachment.getContentStream(attachment_sys_id);
-        this._trace("File stream correctly initializated for attachment with SysID: " + attachment_sys_id);
-
-        // Instantiate the parser class
-        var parser = new sn_impex.GlideExcelParser();
-        var success = parser.parse(stream);
-        if (!success) return this._createReturnValue(XLSXImporter.STATES.PARSING_ERROR, parser.getErrorMessage());
-        this._trace("GlideExcelParsed correctly initializated");
-
-        // Verify if all the required headers are in the file
-        if (!this._sloppy) {
-            var result = this._validateHeaders(parser.getColumnHeaders());
-            if (!result.success) return this._createReturnValue(XLSXImporter.STATES.MISSING_REQUIRED_HEADER, "One or more required headers are missing", result.missing);
-            this._trace("Headers correctly validated");
-        } else this._trace("Headers validation skipped because running in SLOPPY mode");
-
         /**
-         * Index of the current row of the file.
+         * Object containing the mappings created by default from the fields' labels.
          *
-         * Starts from 2 because the first row (0) is the header.
-         * 
-         * Also, another 1 is added because is a zero-based index.
+         * Has the same structure of the mappings object and it is used to describe only the custom mappings.
          */
-        var index = 2;
-
+        this._defaultMappings = {};
         /**
-         * List of results of import for every row in the input file.
+         * Object containing the headers mapped with the `map` and `alias` methods, having as key the header and as value true.
          */
-        var results = [];
-
-        // Parse every row in the file
-        while (parser.next()) {
-            // Parse the current row and get the result
-            var obj = this._parseRow(parser, index);
-            this._trace("Correctly parsed row " + index + " with result: " + JSON.stringify(obj));
-
-            // Memorize the row result
-            results.push(obj);
-
-            // Increment the row index
-            index++;
-        }
-
-        // Close the connection to the input stream and release the document
-        parser.close();
-        this._trace("GlideExcelParsed correctly closed");
+        this._customMappings = {};
+        /**
+         * When disabled, only the custom mappings are used, not the default ones created from the fields' labels and names.
+         *
+         * Disabled while importing as related target, unless the label mappings are enabled for the target.
+         */
+        this._labelMappings = true;
+        /**
+         * When enabled, the values of reference fields are resolved to the SysID of the referenced record.
+         */
+        this._references = false;
+        /**
+         * Object containing the fields used to look up the referenced records.
+         *
+         * Has as key the reference fields' names and as value the field name on the referenced table.
+         * Reference fields not in this object are looked up by the display field of the referenced table.
+         */
+        this._lookups = {};
+        /**
+         * Object containing the dictionary information of the fields already described.
+         *
+         * Has as key the fields' names and as value the field description.
+         */
+        this._descriptors = {};
+        /**
+         * Object containing the referenced records already looked up during the current import.
+         *
+         * Has as key the referenced table, lookup field and value and as value the SysIDs of the matching records.
+         */
+        this._referenceCache = {};
+        /**
+         * When enabled, the labels of choice fields are translated to the stored choice values.
+         */
+        this._choices = false;
+        /**
+         * Object containing the behaviours for values not matching any choice.
+         *
+         * Has as key the choice fields' names and as value an object with the policy and the default value (if any).
+         * Choice fields not in this object use the REJECT policy.
+         */
+        this._choicePolicies = {};
+        /**
+         * Behaviour when more rows of the file have the same coalescing values, one of the `XLSXImporter.DUPLICATE_POLICIES` values.
+         *
+         * When null the rows are imported in sequence, every row updating the record of the previous ones.
+         */
+        this._duplicatePolicy = null;
+        /**
+         * Object containing the rows of the file having the same coalescing values of other rows.
+         *
+         * Has as key the row index and as value the group of the rows with the same coalescing values, shared by all of them:
+         * the ordered indexes of the rows (`rows`), the row imported for the group (`winner`) with its planned record (`record`),
+         * the rows failed when imported for the group (`failed`) and the skipped rows that can be imported in their place (`deferred`).
+         */
+        this._duplicates = {};
+        /**
+         * True while the rows are read without importing them (scanning the file before the import or inspecting it), so no callback is executed.
+         */
+        this._scanning = false;
+        /**
+         * Language of the choice labels in the file, null to use the language of the current session.
+         */
+        this._language = null;
+        /**
+         * Object containing the choices already loaded during the current import.
+         *
+         * Has as key the choice fields' names and as value the choice table and the list of choices.
+         */
+        this._choiceCache = {};
+        /**
+         * When enabled, the cell values are converted to the internal type of the target fields (dates, numbers, booleans, etc.).
+         */
+        this._coerce = false;
+        /**
+         * Date system used by the Excel file for the numeric dates: 1900 (Windows, default) or 1904 (older Mac files).
+         */
+        this._dateSystem = 1900;
+        /**
+         * Decimal separator used by the numbers with a single separator followed by three digits (e.g. "1,000"), null when unknown.
+         */
+        this._decimalSeparator = null;
+        /**
+         * When enabled, the changes of the import are saved in the journal table, so they can be reverted.
+         */
+        this._journaling = false;
+        /**
+         * When enabled, the import is saved in the run table, with the rows not imported successfully in the log table.
+         */
+        this._history = false;
+        /**
+         * Identifier of the current import, the SysID of its run record when it has one, null when running in VIRTUAL mode without a run record.
+         */
+        this._runId = null;
+        /**
+         * Number of changes written in the journal by the current import, used to keep their order.
+         */
+        this._journalSequence = 0;
+        /**
+         * Identifier of the run record of the current import, null when no import is running.
+         */
+        this._job = null;
+        /**
+         * Number of rows imported between two updates of the progress of a background import.
+         */
+        this._progressInterval = 100;
+        /**
+         * Milliseconds between two checks of the cancellation of a background import, also checked at every checkpoint.
+         */
+        this._cancelInterval = 1000;
+        /**
+         * Time of the last check of the cancellation of the background import, in milliseconds.
+         */
+        this._cancelCheck = 0;
+        /**
+         * Number of rows of every batch, a checkpoint is saved after each of them (0 to disable).
+         */
+        this._batch = 0;
+        /**
+         * Last row saved in the log table by the checkpoints of the current import.
+         */
+        this._loggedRow = 0;
+        /**
+         * Checkpoint of the import to continue, null when starting from the beginning of the file.
+         *
+         * Has the last imported row, the counters of the rows until it and the last journal sequence.
+         */
+        this._checkpoint = null;
 
-        this._trace("Ending import process at " + (new Date()).toString());
-        return this._createReturnValue(XLSXImporter.STATES.SUCCESS, "Import completed successfully", results, results.length);
+        // Create the default mapping for this tale
+        this._mapLabelWithName();
+
+        this._trace("Class correctly initialized for table: " + this.table);
+    },
+
+    /* ################################ Start Public Methods ################################ */
+
+    /**
+     * Execute the import process from the given Excel file.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @return {object} Result of the operation
+     */
+    import: function(attachment_sys_id) {
+        // Save the import in the history with its own run record, also needed to save the checkpoints
+        if (gs.nil(this._job) && (this._history || this._batch > 0)) return this._runJob(this._createRun(attachment_sys_id), attachment_sys_id);
+
+        var result = this._import(attachment_sys_id);
+
+        // Notify the end of the import with its final result
+        var data = {};
+        data.result = result;
+        this._emitEvent("onImportEnd", data);
+
+        return result;
+    },
+
+    /**
+     * Execute the import process from the given Excel file in a background job.
+     *
+     * The importer is stored as a definition, so all its methods must be in the `XLSXImporter_Methods_Repository` class and the event callbacks are not executed.
+     * Use the returned identifier to get the progress and the result of the import with `XLSXImporter.status` or to stop it with `XLSXImporter.cancel`.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @return {String} Identifier of the background import, also used as identifier of the import to revert its changes
+     */
+    importInBackground: function(attachment_sys_id) {
+        // Validate parameters
+        if (gs.nil(attachment_sys_id)) throw new Error("Invalid parameter: the 'attachment_sys_id' parameter is empty");
+        if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+        if (!gs.tableExists(XLSXImporter.TABLES.LOG)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.LOG + "' exists in the database");
+
+        // Store the importer in the run record
+        var runId = this._createRun(attachment_sys_id, this.toDefinition());
+
+        // Schedule the import once, as soon as possible
+        var job = new ScheduleOnce();
+        job.script = "XLSXImporter.execute('" + runId + "');";
+        job.setLabel("XLSXImporter background import " + runId);
+        job.schedule();
+
+        this._trace("Background import scheduled with identifier: " + runId);
+        return runId;
+    },
+
+    /**
+     * Continue an import stopped before its end from its last checkpoint, with the configuration of this importer.
+     *
+     * The rows until the checkpoint are not imported again and are part of the counters of the returned result, which has the results of the following rows only.
+     * An import still running is resumed only when its run record was not updated for longer than the timeout, as its job was stopped without ending it.
+     *
+     * @param {String} runId Identifier of the import, returned in the `run` property of the import result
+     * @param {Number} [timeout] Minutes without updates after which a running import is considered stopped, 30 if not provided
+     * @return {ImportResult} Result of the whole import
+     */
+    resume: function(runId, timeout) {
+        // Validate parameters
+        if (gs.nil(runId) || typeof runId != "string") throw new Error("Invalid parameter: the 'runId' parameter is empty or not a string");
+        if (!gs.nil(timeout) && (typeof timeout != "number" || timeout <= 0)) throw new Error("Invalid parameter: the 'timeout' parameter is not a positive number");
+        if (!gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(runId)) throw new Error("Invalid parameter: no import with identifier '" + runId + "' exists");
+        if (grRun.getValue("u_state") == XLSXImporter.RUN_STATES.COMPLETE) throw new Error("Invalid parameter: the import with identifier '" + runId + "' is already complete");
+
+        var RUNNING = [XLSXImporter.RUN_STATES.QUEUED, XLSXImporter.RUN_STATES.RUNNING, XLSXImporter.RUN_STATES.CANCELLING];
+        if (RUNNING.indexOf(grRun.getValue("u_state")) != -1 && !this._isStale(grRun, timeout)) throw new Error("Invalid parameter: the import with identifier '" + runId + "' is still running");
+
+        return this._runJob(runId, grRun.getValue("u_attachment"));
+    },
+
+    /**
+     * Get the names of all the worksheets in the given Excel file.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @return {String[]} Names of the worksheets, in the same order as in the workbook
+     */
+    getSheets: function(attachment_sys_id) {
+        // Validate parameters
+        if (gs.nil(attachment_sys_id)) throw new Error("Invalid parameter: the 'attachment_sys_id' parameter is empty");
+
+        // Read the worksheets list and release the document
+        var parser = XLSXImporter.createParser(attachment_sys_id);
+        var sheets = this._getSheetNames(parser);
+        parser.close();
+
+        return sheets;
+    },
+
+    /**
+     * @typedef {object} InspectionResult Result of the inspection of a file
+     * @property {Boolean} success True if the file can be imported
+     * @property {String} code Specific `XLSXImporter.STATES` result code of the inspection
+     * @property {String} message Message related to the inspection
+     * @property {String|number} sheet Worksheet inspected, as name or index (null when using the default one)
+     * @property {object} headers Headers of the file (columns), field of every mapped header (mapping) and headers not mapped by any target (unmapped)
+     * @property {Array} missing Required headers missing from the file
+     * @property {Array} ignored Headers of the file ignored by the import
+     * @property {number} rows Number of rows that would be imported, empty ones included
+     * @property {Array} sample Results of the first rows of the file, as planned by a VIRTUAL import
+     */
+
+    /**
+     * Inspect a file before importing it, reading its headers and a sample of its rows without writing anything.
+     *
+     * No event is triggered and the sample rows are parsed as in a VIRTUAL import, so their results have the planned operations and changes.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @param {Number} [sampleSize] Number of rows in the sample, 10 if not provided
+     * @return {InspectionResult} Result of the inspection
+     */
+    inspect: function(attachment_sys_id, sampleSize) {
+        // Validate parameters
+        if (gs.nil(attachment_sys_id)) throw new Error("Invalid parameter: the 'attachment_sys_id' parameter is empty");
+        if (!gs.nil(sampleSize) && (typeof sampleSize != "number" || sampleSize < 0 || sampleSize % 1 !== 0)) throw new Error("Invalid parameter: the 'sampleSize' parameter is not a non-negative integer");
+        var _sampleSize = gs.nil(sampleSize) ? 10 : sampleSize;
+
+        var obj = {};
+        obj.sheet = this._sheet;
+
+        // Open the parser on the selected worksheet
+        var opened = this._openParser(attachment_sys_id);
+        if (!opened.success) {
+            obj.success = false;
+            obj.code = opened.code;
+            obj.message = opened.message;
+            obj.sheets = opened.sheets || null;
+            return obj;
+        }
+        var parser = opened.parser;
+
+        // Parse the sample like a VIRTUAL import, without executing the callbacks
+        var virtual = this._virtual;
+        this._virtual = true;
+        this._scanning = true;
+        try {
+            this._start = new Date();
+            this._runId = null;
+            this._journalSequence = 0;
+            this._referenceCache = {};
+            this._choiceCache = {};
+            this._duplicates = {};
+            this._index = null;
+            this._labelMappings = true;
+
+            // Read and resolve the headers of the file
+            this._columns = this._readColumns(parser);
+            var headers = this._getHeaders();
+            this._prepareRelated();
+            obj.headers = this._resolveHeaders(headers);
+            obj.missing = this._validateHeaders(headers).missing;
+
+            var isIgnored = function(header) { return this._ignored.indexOf(this._normalize(header)) != -1; };
+            obj.ignored = headers.filter(isIgnored, this);
+
+            // Count the rows and parse the sample
+            obj.rows = 0;
+            obj.sample = [];
+            this._readRows(parser, function(data, index) {
+                obj.rows++;
+                if (obj.sample.length >= _sampleSize) return;
+
+                // Empty rows are skipped by the import, so they are not part of the sample
+                var sample = this._parseRow(data, index);
+                if (sample.code != XLSXImporter.RCODES.SKIPPED_EMPTY) obj.sample.push(sample);
+            });
+        } finally {
+            parser.close();
+
+            // Restore the mode and forget the choices created by the sample
+            this._virtual = virtual;
+            this._scanning = false;
+            this._choiceCache = {};
+        }
+
+        // Same checks of the import, the sloppy mode skips them
+        obj.success = true;
+        obj.code = XLSXImporter.STATES.SUCCESS;
+        obj.message = "The file can be imported";
+        if (!this._sloppy && obj.missing.length > 0) {
+            obj.success = false;
+            obj.code = XLSXImporter.STATES.MISSING_REQUIRED_HEADER;
+            obj.message = "One or more required headers are missing";
+        } else if (!this._sloppy && this._strict && obj.headers.unmapped.length > 0) {
+            obj.success = false;
+            obj.code = XLSXImporter.STATES.UNKNOWN_HEADER;
+            obj.message = "One or more headers are not mapped to any field";
+        }
+
+        return obj;
+    },
+
+    /**
+     * Create a template of the Excel file expected by the importer and attach it to a record, as SpreadsheetML 2003 file (opened by Excel and saved as XLSX).
+     *
+     * The template sheet has the header row of the expected columns, with the required ones highlighted, and optionally some existing records as example rows.
+     * The "Columns" sheet describes every column: mapped field, type, requirement and allowed values (choices and referenced records).
+     *
+     * The expected columns are the fields with a custom mapping, the required, coalescing, transformed and validated ones
+     * (all the mapped fields if none of them is defined), except the ignored and computed ones.
+     *
+     * The file has the "xls" extension of the SpreadsheetML format, not its own one: Excel warns that the format and the extension
+     * of the file do not match before opening it, the warning can be ignored.
+     *
+     * @param {String} table Table of the record where the template is attached
+     * @param {SysID} sys_id SysID of the record where the template is attached
+     * @param {Number} [examples] Number of existing records of the target table written as example rows, none if not provided
+     * @param {String} [fileName] Name of the template file, "<table>_template.xls" if not provided
+     * @return {SysID} SysID of the template in the attachment table
+     */
+    template: function(table, sys_id, examples, fileName) {
+        // Validate parameters
+        if (gs.nil(table) || typeof table != "string") throw new Error("Invalid parameter: the 'table' parameter is empty or not a string");
+        if (gs.nil(sys_id)) throw new Error("Invalid parameter: the 'sys_id' parameter is empty");
+        if (!gs.nil(examples) && (typeof examples != "number" || examples < 0 || examples % 1 !== 0)) throw new Error("Invalid parameter: the 'examples' parameter is not a non-negative integer");
+        if (this._positional) throw new Error("Unable to create the template: the columns of a POSITIONAL import have no header");
+
+        var grRecord = new GlideRecord(table);
+        if (!grRecord.get(sys_id)) throw new Error("Invalid parameter: no record with SysID '" + sys_id + "' exists in the table '" + table + "'");
+
+        // Clean the choices cached by previous imports
+        this._choiceCache = {};
+        var columns = this._getTemplateColumns();
+
+        // Escape the special characters of the XML
+        var escape = function(value) { return String(gs.nil(value) ? "" : value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;"); };
+        var cell = function(value, style) { return "<Cell" + (gs.nil(style) ? "" : " ss:StyleID=\"" + style + "\"") + "><Data ss:Type=\"String\">" + escape(value) + "</Data></Cell>"; };
+        var getHeaderCell = function(column) { return cell(column.header, column.required ? "required" : "header"); };
+
+        // Write the header in its row, followed by the example rows
+        var rows = [];
+        rows.push("<Row ss:Index=\"" + this._headerRow + "\">" + columns.map(getHeaderCell).join("") + "</Row>");
+
+        if (examples > 0) {
+            // References with a custom lookup are written with the value of the lookup field, to be imported again
+            var lookups = this._lookups;
+            var getExample = function(gr, field) {
+                if (gs.nil(field)) return "";
+                if (gs.nil(lookups[field]) || gs.nil(gr.getValue(field))) return gr.getDisplayValue(field);
+                return gr.getDisplayValue(field + "." + lookups[field]);
+            };
+
+            var grExample = new GlideRecord(this.table);
+            grExample.setLimit(examples);
+            grExample.query();
+            while (grExample.next()) {
+                var values = [];
+                for (var i = 0; i < columns.length; i++) values.push(cell(getExample(grExample, columns[i].field)));
+                rows.push("<Row>" + values.join("") + "</Row>");
+            }
+        }
+
+        // Describe every column
+        var descriptions = [];
+        descriptions.push("<Row>" + ["Header", "Field", "Type", "Required", "Values"].map(function(title) { return cell(title, "header"); }).join("") + "</Row>");
+        for (var j = 0; j < columns.length; j++) {
+            descriptions.push("<Row>" + cell(columns[j].header) + cell(columns[j].field) + cell(columns[j].type) + cell(columns[j].required ? "Yes" : "No") + cell(columns[j].values) + "</Row>");
+        }
+
+        var sheet = typeof this._sheet == "string" ? this._sheet : "Template";
+        var xml = [];
+        xml.push("<?xml version=\"1.0\"?>");
+        xml.push("<?mso-application progid=\"Excel.Sheet\"?>");
+        xml.push("<Workbook xmlns=\"urn:schemas-microsoft-com:office:spreadsheet\" xmlns:ss=\"urn:schemas-microsoft-com:office:spreadsheet\">");
+        xml.push("<Styles>");
+        xml.push("<Style ss:ID=\"header\"><Font ss:Bold=\"1\"/></Style>");
+        xml.push("<Style ss:ID=\"required\"><Font ss:Bold=\"1\" ss:Color=\"#FFFFFF\"/><Interior ss:Color=\"#C00000\" ss:Pattern=\"Solid\"/></Style>");
+        xml.push("</Styles>");
+        xml.push("<Worksheet ss:Name=\"" + escape(sheet) + "\"><Table>" + rows.join("") + "</Table></Worksheet>");
+        xml.push("<Worksheet ss:Name=\"Columns\"><Table>" + descriptions.join("") + "</Table></Worksheet>");
+        xml.push("</Workbook>");
+
+        var attachment = new GlideSysAttachment();
+        var attachment_sys_id = String(attachment.write(grRecord, fileName || this.table + "_template.xls", "application/vnd.ms-excel", xml.join("\n")));
+        this._trace("Template with " + columns.length + " columns attached to the record " + sys_id + " of the table " + table);
+        return attachment_sys_id;
+    },
+
+    /**
+     * Select the worksheet of the Excel file to import.
+     *
+     * @param {String|Number} sheet Name of the worksheet or its zero-based index in the workbook
+     */
+    sheet: function(sheet) {
+        // Validate parameters
+        var isName = typeof sheet == "string" && !gs.nil(sheet);
+        var isIndex = typeof sheet == "number" && sheet >= 0 && sheet % 1 === 0;
+        if (!isName && !isIndex) throw new Error("Invalid parameter: the 'sheet' parameter is not a worksheet name or a non-negative integer index");
+
+        // Update the worksheet to use
+        this._sheet = sheet;
+        this._trace("Worksheet selected for import: " + this._sheet);
     },
 
     /**
      * Map an Excel header to a record field.
      *
-     * @param {String} header Name of the header in the Excel file
+     * When running in POSITIONAL mode the header is the column letter (e.g. "C") or its index starting from 1.
+     *
+     * @param {String|Number} header Name of the header in the Excel file, column letter or column index
      * @param {String} field Name of the field on the target import table to map the header to
      */
     map: function(header, field) {
+        // Convert the column index to its letter
+        if (this._isPositiveInteger(header)) header = this._columnName(header - 1);
+
         // Validate parameters
         if (gs.nil(header) || typeof header != "string") throw new Error("Invalid parameter: the 'header' parameter is empty or not a string");
         if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
@@ -209,19 +1390,36 @@ XLSXImporter.prototype = {
         // Finally associate the header with the field
         var _header = this._normalize(header);
         this._mappings[_header] = _field;
+        this._customMappings[_header] = true;
         this._trace("Defined mapping function: " + _header + " -> " + _field);
     },
 
+    /**
+     * Map more Excel headers to the same record field.
+     *
+     * @param {String} field Name of the field on the target import table to map the headers to
+     * @param {String|Array} aliases Name or array of names of the headers in the Excel file
+     */
+    alias: function(field, aliases) {
+        // Validate parameters
+        var _aliases = typeof aliases == "string" ? [aliases] : aliases;
+        if (gs.nil(_aliases) || !Array.isArray(_aliases) || _aliases.length === 0) throw new Error("Invalid parameter: the 'aliases' parameter is empty or not a string or an array");
+
+        for (var i = 0; i < _aliases.length; i++) this.map(_aliases[i], field);
+    },
+
     /**
      * Add a transformation map for the specified field.
      *
      * @param {String} field Name of the field on the target import table on which the transformation must apply
-     * @param {Function} f Transform method, accept only one value (cell value) and return only one value (transformed value)
+     * @param {Function|String} f Transform method, accept only one value (cell value) and return only one value (transformed value), or name of a method in `XLSXImporter_Methods_Repository.TRANSFORMS`
+     * @param {object} [params] Parameters bound to the method as its context
      */
-    transform: function(field, f) {
+    transform: function(field, f, params) {
         // Validate parameters
         if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
-        if (gs.nil(f) || typeof f != "function") throw new Error("Invalid parameter: the 'f' parameter is empty or not a function");
+        if (gs.nil(f) || (typeof f != "function" && typeof f != "string")) throw new Error("Invalid parameter: the 'f' parameter is empty or not a function or a method name");
+        if (!gs.nil(params) && typeof params != "object") throw new Error("Invalid parameter: the 'params' parameter is not an object");
 
         // Verify if the "field" parameter exists on the table
         var _field = this._normalize(field);
@@ -231,22 +1429,82 @@ XLSXImporter.prototype = {
         if (gs.nil(this._transforms[_field])) this._transforms[_field] = [];
 
         // Finally push the transform function into the array
-        this._transforms[_field].push(f);
+        this._transforms[_field].push(this._createMethod(XLSXImporter_Methods_Repository.TRANSFORMS, f, params));
         this._trace("Defined transform function for: " + _field + " (Methods Pipeline: " + this._transforms[_field].length + ")");
     },
 
+    /**
+     * Compute the value of a field from the whole row, replacing the value in the file (if any).
+     *
+     * Computed values are then transformed and validated like the values in the file.
+     *
+     * @param {String} field Name of the field on the target import table to compute
+     * @param {Function|String} f Compute method, accept only one value (row value) and return only one value (field value), or name of a method in `XLSXImporter_Methods_Repository.COMPUTES`
+     * @param {object} [params] Parameters bound to the method as its context
+     */
+    compute: function(field, f, params) {
+        // Validate parameters
+        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (gs.nil(f) || (typeof f != "function" && typeof f != "string")) throw new Error("Invalid parameter: the 'f' parameter is empty or not a function or a method name");
+        if (!gs.nil(params) && typeof params != "object") throw new Error("Invalid parameter: the 'params' parameter is not an object");
+
+        // Verify if the "field" parameter exists on the table
+        var _field = this._normalize(field);
+        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+
+        // Create an object containing the function and the related field
+        var obj = this._createMethod(XLSXImporter_Methods_Repository.COMPUTES, f, params);
+        obj.field = _field;
+
+        // Finally push the object into the array
+        this._computes.push(obj);
+        this._trace("Defined compute function for: " + _field + " (Methods Pipeline: " + this._computes.length + ")");
+    },
+
+    /**
+     * Define the value of a field when it is absent or empty in the file.
+     *
+     * Default values are then transformed and validated like the values in the file.
+     *
+     * @param {String} field Name of the field on the target import table
+     * @param {*} value Constant value, or compute method accepting only one value (row value) and returning only one value (field value)
+     * @param {object} [params] Parameters bound to the compute method as its context
+     */
+    defaultValue: function(field, value, params) {
+        // Validate parameters
+        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (gs.nil(value)) throw new Error("Invalid parameter: the 'value' parameter is empty");
+        if (!gs.nil(params) && typeof params != "object") throw new Error("Invalid parameter: the 'params' parameter is not an object");
+
+        // Verify if the "field" parameter exists on the table
+        var _field = this._normalize(field);
+        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+
+        // Scripted default values are computed from the row
+        var obj = {};
+        if (typeof value == "function") obj = this._createMethod(XLSXImporter_Methods_Repository.COMPUTES, value, params);
+        else obj.value = value;
+
+        this._defaults[_field] = obj;
+        this._trace("Defined default value for: " + _field);
+    },
+
     /**
      * Validate the record after it has been parsed.
      *
      * @param {String} field Name of the field on the target import table on which the validation must apply
-     * @param {Function} f Validation method, accept only two value (row value and field name) and return only one value (validation value)
+     * @param {Function|String} f Validation method, accept only two value (row value and field name) and return only one value (validation value), or name of a method in `XLSXImporter_Methods_Repository.VALIDATIONS`
      * @param {String} message Error message to return in the row data if the validaton method fails.
+     * @param {object} [params] Parameters bound to the method as its context
+     * @param {String} [severity] One of `XLSXImporter.SEVERITIES`, only failing methods with ERROR severity (default) skip the row
      */
-    validate: function(field, f, message) {
+    validate: function(field, f, message, params, severity) {
         // Validate parameters
         if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
-        if (gs.nil(f) || typeof f != "function") throw new Error("Invalid parameter: the 'f' parameter is empty or not a function");
+        if (gs.nil(f) || (typeof f != "function" && typeof f != "string")) throw new Error("Invalid parameter: the 'f' parameter is empty or not a function or a method name");
         if (gs.nil(message) || typeof message != "string") throw new Error("Invalid parameter: the 'message' parameter is empty or not a string");
+        if (!gs.nil(params) && typeof params != "object") throw new Error("Invalid parameter: the 'params' parameter is not an object");
+        if (!gs.nil(severity) && !this._isSeverity(severity)) throw new Error("Invalid parameter: the 'severity' parameter is not a value of XLSXImporter.SEVERITIES");
 
         // Verify if the "field" parameter exists on the table
         var _field = this._normalize(field);
@@ -256,9 +1514,9 @@ XLSXImporter.prototype = {
         if (gs.nil(this._validations[_field])) this._validations[_field] = [];
 
         // Create an object containing the function and the related message
-        var obj = {};
-        obj.method = f;
+        var obj = this._createMethod(XLSXImporter_Methods_Repository.VALIDATIONS, f, params);
         obj.message = message;
+        obj.severity = severity || XLSXImporter.SEVERITIES.ERROR;
 
         // Finally push the validation function into the array
         this._validations[_field].push(obj);
@@ -266,6 +1524,32 @@ XLSXImporter.prototype = {
         this._trace("Defined validation function for " + _field + " (Methods Pipeline: " + this._validations[_field].length + ")");
     },
 
+    /**
+     * Add a validation method involving more fields of the row.
+     *
+     * @param {Function|String} f Validation method, accept only one value (row value) and return only one value (validation value), or name of a method in `XLSXImporter_Methods_Repository.ROW_VALIDATIONS`
+     * @param {String} message Error message to return in the row data if the validaton method fails.
+     * @param {object} [params] Parameters bound to the method as its context
+     * @param {String} [severity] One of `XLSXImporter.SEVERITIES`, only failing methods with ERROR severity (default) skip the row
+     */
+    validateRow: function(f, message, params, severity) {
+        // Validate parameters
+        if (gs.nil(f) || (typeof f != "function" && typeof f != "string")) throw new Error("Invalid parameter: the 'f' parameter is empty or not a function or a method name");
+        if (gs.nil(message) || typeof message != "string") throw new Error("Invalid parameter: the 'message' parameter is empty or not a string");
+        if (!gs.nil(params) && typeof params != "object") throw new Error("Invalid parameter: the 'params' parameter is not an object");
+        if (!gs.nil(severity) && !this._isSeverity(severity)) throw new Error("Invalid parameter: the 'severity' parameter is not a value of XLSXImporter.SEVERITIES");
+
+        // Create an object containing the function and the related message
+        var obj = this._createMethod(XLSXImporter_Methods_Repository.ROW_VALIDATIONS, f, params);
+        obj.message = message;
+        obj.severity = severity || XLSXImporter.SEVERITIES.ERROR;
+
+        // Finally push the object into the array
+        this._rowValidations.push(obj);
+
+        this._trace("Defined row validation function (Methods Pipeline: " + this._rowValidations.length + ")");
+    },
+
     /**
      * Execute the specific function when the event is triggered.
      *
@@ -283,310 +1567,2256 @@ XLSXImporter.prototype = {
         var _event = this._normalize(event);
         if (allowed.indexOf(_event) === -1) throw new Error("Invalid parameter: no event allowed with name '" + event + "'");
 
-        // Set the callback for the event
-        this._events[_event] = f;
+        // Add the callback to the ones of the event
+        if (gs.nil(this._events[_event])) this._events[_event] = [];
+        this._events[_event].push(f);
 
         this._trace("Defined callback function for: " + _event + " (Methods Pipeline: " + this._events[_event].length + ")");
     },
 
     /**
-     * Add a coalescing field to use as a key to determine if a record already exists in the table.
+     * Remove a callback from an event, or all the callbacks of the event when no function is specified.
      *
-     * @param {String} field Name of the field on the target import table to use as coalescing field
+     * @param {String} event Event from which the function must be removed
+     * @param {Function} [f] Callback method to remove, omit to remove all the callbacks of the event
      */
-    coalesce: function(field) {
+    removeCallback: function(event, f) {
         // Validate parameters
-        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (gs.nil(event) || typeof event != "string") throw new Error("Invalid parameter: the 'event' parameter is empty or not a string");
+        if (!gs.nil(f) && typeof f != "function") throw new Error("Invalid parameter: the 'f' parameter is not a function");
 
-        // Verify if the "field" parameter exists on the table
-        var _field = this._normalize(field);
-        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+        // Verify if the "event" parameter is a valid one
+        function lower(s) { return s.toLowerCase(); }
+        var allowed = this.ALLOWED_EVENTS.map(lower);
+        var _event = this._normalize(event);
+        if (allowed.indexOf(_event) === -1) throw new Error("Invalid parameter: no event allowed with name '" + event + "'");
 
-        // Finally push the coalescing field in the array
-        this._coalescing.push(_field);
-        this._trace("Set field '" + _field + "' as coalescent");
+        // Remove the callback (all the callbacks if no function is specified)
+        function isOther(callback) { return callback !== f; }
+        this._events[_event] = gs.nil(f) ? [] : (this._events[_event] || []).filter(isOther);
+
+        this._trace("Removed callback function for: " + _event + " (Methods Pipeline: " + this._events[_event].length + ")");
     },
 
     /**
-     * Ignore the specified header while processing the Excel file.
+     * Get the definition of the importer, that can be stored as JSON and used to create the same importer with `XLSXImporter.fromDefinition`.
      *
-     * @param {String} header Name of the header in the Excel file
+     * Only transformation and validation methods from the `XLSXImporter_Methods_Repository` class can be described,
+     * while event callbacks are never part of the definition.
+     *
+     * @return {object} Definition of the importer
      */
-    ignore: function(header) {
-        // Validate parameters
-        if (gs.nil(header) || typeof header != "string") throw new Error("Invalid parameter: the 'header' parameter is empty or not a string");
+    toDefinition: function() {
+        // Describe a method as its name in the repository and its parameters
+        var describe = function(method, owner) {
+            if (gs.nil(method.name)) throw new Error("Unable to create the definition: a method of " + owner + " is not in the XLSXImporter_Methods_Repository class");
+
+            var obj = {};
+            obj.name = method.name;
+            if (!gs.nil(method.params)) obj.params = method.params;
+            if (!gs.nil(method.message)) obj.message = method.message;
+            if (!gs.nil(method.severity) && method.severity !== XLSXImporter.SEVERITIES.ERROR) obj.severity = method.severity;
+            return obj;
+        };
+
+        var definition = {};
+        definition.table = this.table;
+        definition.sheet = this._sheet;
+        definition.headerRow = this._headerRow;
+        definition.headerless = this._headerless;
+        definition.positional = this._positional;
+        definition.rows = {};
+        definition.rows.first = this._firstRow;
+        definition.rows.last = this._lastRow;
+
+        // Only the mappings different from the default ones are needed, with the custom ones used by the related targets
+        definition.mappings = {};
+        for (var header in this._mappings) {
+            if (this._defaultMappings[header] !== this._mappings[header] || this._customMappings[header]) definition.mappings[header] = this._mappings[header];
+        }
 
-        // Verify that the header is not in the required list
-        var _header = this._normalize(header);
-        if (this._required.indexOf(_header) != -1) throw new Error("Invalid parameter: the field '" + _field + "' is also a required one");
+        definition.transforms = {};
+        for (var tField in this._transforms) {
+            definition.transforms[tField] = this._transforms[tField].map(function(method) { return describe(method, "the field '" + tField + "'"); });
+        }
 
-        // Save the header to ignore
-        if (this._ignored.indexOf(_header) === -1) this._ignored.push(_header);
-        this._trace("Set header '" + _header + "' as ignored");
+        definition.computes = this._computes.map(function(method) {
+            var obj = describe(method, "the field '" + method.field + "'");
+            obj.field = method.field;
+            return obj;
+        });
+
+        // Constant default values are described by their value
+        definition.defaults = {};
+        for (var dField in this._defaults) {
+            if (gs.nil(this._defaults[dField].method)) {
+                definition.defaults[dField] = {};
+                definition.defaults[dField].value = this._defaults[dField].value;
+            } else definition.defaults[dField] = describe(this._defaults[dField], "the field '" + dField + "'");
+        }
+
+        definition.validations = {};
+        for (var vField in this._validations) {
+            definition.validations[vField] = this._validations[vField].map(function(method) { return describe(method, "the field '" + vField + "'"); });
+        }
+
+        definition.rowValidations = this._rowValidations.map(function(method) { return describe(method, "the row validations"); });
+
+        definition.coalesce = JSON.parse(JSON.stringify(this._coalesceGroups));
+        definition.coalesceScope = this._coalesceScope;
+        definition.emptyKeys = this._emptyKeyPolicy;
+        definition.preload = {};
+        definition.preload.active = this._preload;
+        definition.preload.filter = this._preloadFilter;
+        definition.sync = {};
+        definition.sync.action = this._syncAction;
+        definition.sync.scope = this._syncScope;
+        definition.sync.values = this._syncAction == XLSXImporter.SYNC_ACTIONS.SET ? JSON.parse(JSON.stringify(this._syncValues)) : null;
+        definition.sync.limit = this._syncLimit;
+        definition.sync.onFailures = this._syncOnFailures;
+        definition.batch = this._batch;
+
+        definition.related = {};
+        for (var name in this._related) {
+            definition.related[name] = {};
+            definition.related[name].field = this._related[name].field;
+            definition.related[name].labels = this._related[name].labels;
+            definition.related[name].definition = this._related[name].importer.toDefinition();
+        }
+        definition.duplicates = this._duplicatePolicy;
+        definition.ignore = this._ignored.slice();
+        definition.require = this._required.slice();
+        definition.lookups = JSON.parse(JSON.stringify(this._lookups));
+        definition.choicePolicies = JSON.parse(JSON.stringify(this._choicePolicies));
+        definition.language = this._language;
+
+        // Every option has the name of the method that sets it
+        definition.options = {};
+        definition.options.debug = this._debug;
+        definition.options.virtual = this._virtual;
+        definition.options.journal = this._journaling;
+        definition.options.history = this._history;
+        definition.options.sloppy = this._sloppy;
+        definition.options.normalizeKeys = this._normalizeKeys;
+        definition.options.collect = this._collect;
+        definition.options.fuzzy = this._fuzzy;
+        definition.options.strict = this._strict;
+        definition.options.references = this._references;
+        definition.options.choices = this._choices;
+        definition.options.coerce = this._coerce;
+        definition.options.dateSystem = this._dateSystem;
+        definition.options.decimalSeparator = this._decimalSeparator;
+
+        return definition;
     },
 
     /**
-     * Set the specified field as mandatory.
+     * Add a related target, importing a record in another table from every row after the record of this importer.
      *
-     * @param {String} header Name of the header in the Excel file
+     * The related importer uses its own mappings, transformations, validations and coalescing fields,
+     * while it always runs in the same mode (real or virtual) of this importer.
+     * Only the headers mapped with its `map` and `alias` methods are read, unless the label mappings are enabled.
+     *
+     * @param {String} name Name of the related target, used as key of its results
+     * @param {XLSXImporter} importer Importer of the related target
+     * @param {String} [field] Field of the related table to set with the SysID of the record of this importer
+     * @param {Boolean} [labels] True to also map the headers matching the labels or the names of the related table fields, false if not provided
      */
-    require: function(header) {
+    related: function(name, importer, field, labels) {
         // Validate parameters
-        if (gs.nil(header) || typeof header != "string") throw new Error("Invalid parameter: the 'header' parameter is empty or not a string");
+        if (gs.nil(name) || typeof name != "string") throw new Error("Invalid parameter: the 'name' parameter is empty or not a string");
+        if (gs.nil(importer) || !(importer instanceof XLSXImporter) || importer === this) throw new Error("Invalid parameter: the 'importer' parameter is empty or not another XLSXImporter");
+        if (!gs.nil(field) && typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is not a string");
+        if (!gs.nil(labels) && typeof labels != "boolean") throw new Error("Invalid parameter: the 'labels' parameter is not a boolean");
 
-        // Verify that the header is not in the ignored list
-        var _header = this._normalize(header);
-        if (this._ignored.indexOf(_header) != -1) throw new Error("Invalid parameter: the field '" + _field + "' is set to be ignored");
+        // Verify if the "field" parameter exists on the related table
+        var _field = gs.nil(field) ? null : this._normalize(field);
+        if (!gs.nil(_field) && importer._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + importer.table + "'");
 
-        // Save the header to require
-        if (this._required.indexOf(_header) == -1) this._required.push(_header);
-        this._trace("Set header '" + _header + "' as required");
+        var obj = {};
+        obj.importer = importer;
+        obj.field = _field;
+        obj.labels = labels === true;
+        this._related[name] = obj;
+        this._trace("Defined related target '" + name + "' on the table '" + importer.table + "'");
     },
 
     /**
-     * Enable or disable the debug mode, logging every step in details.
-     * 
-     * Note: It's sugsested to NOT enable this mode in production instance.
+     * Add a coalescing field to use as a key to determine if a record already exists in the table.
      *
-     * @param {Boolean} active Value used to enable/disable the functionality
+     * Fields of the same group must all match the record. Groups are tried in the order they are defined,
+     * so a record can be matched by an alternative key when the previous ones find nothing.
+     *
+     * @param {String} field Name of the field on the target import table to use as coalescing field
+     * @param {String} [group] Name of the group of the field, "default" if not provided
      */
-    debug: function(active) {
+    coalesce: function(field, group) {
         // Validate parameters
-        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (!gs.nil(group) && typeof group != "string") throw new Error("Invalid parameter: the 'group' parameter is not a string");
 
-        // Update the mode
-        this._debug = active;
-        this._trace("Debug mode has now state: " + (this._debug ? "ENABLED" : "DISABLED"));
+        // Verify if the "field" parameter exists on the table
+        var _field = this._normalize(field);
+        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+
+        // Get the group of the field, creating it if not already defined
+        var name = gs.nil(group) ? "default" : group.trim();
+        function hasName(element) { return element.name === name; }
+        var _group = this._coalesceGroups.filter(hasName)[0];
+        if (gs.nil(_group)) {
+            _group = {};
+            _group.name = name;
+            _group.fields = [];
+            this._coalesceGroups.push(_group);
+        }
+
+        // Finally push the coalescing field in the arrays
+        if (_group.fields.indexOf(_field) === -1) _group.fields.push(_field);
+        if (this._coalescing.indexOf(_field) === -1) this._coalescing.push(_field);
+        this._trace("Set field '" + _field + "' as coalescent (Group: " + name + ")");
     },
 
     /**
-     * Enable or disable the virtual import that execute the import without actually updating records in the database.
-     * 
-     * Useful to validate data before the actual import.
+     * Limit the records that can be matched by the coalescing fields.
      *
-     * @param {Boolean} active Value used to enable/disable the functionality
+     * @param {String} encodedQuery Encoded query applied to the coalescing search
      */
-    virtual: function(active) {
+    coalesceScope: function(encodedQuery) {
         // Validate parameters
-        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (gs.nil(encodedQuery) || typeof encodedQuery != "string") throw new Error("Invalid parameter: the 'encodedQuery' parameter is empty or not a string");
 
-        // Update the mode
-        this._virtual = active;
-        this._trace("Virtual import mode has now state: " + (this._virtual ? "ENABLED" : "DISABLED"));
+        this._coalesceScope = encodedQuery;
+        this._trace("Defined coalescing scope: " + encodedQuery);
     },
 
     /**
-     * Run the import without executing the validation of the data.
-     * 
-     * CAUTION: Be careful when using this method as you can import non-parsed or invalid data.
+     * Define the behaviour when a coalescing field of a row is empty.
+     *
+     * @param {String} policy One of the `XLSXImporter.EMPTY_KEY_POLICIES` values
+     */
+    emptyKeys: function(policy) {
+        // Validate parameters
+        if (gs.nil(policy) || typeof policy != "string") throw new Error("Invalid parameter: the 'policy' parameter is empty or not a string");
+
+        // Verify if the "policy" parameter is a valid one
+        var _policy = this._normalize(policy);
+        function getPolicy(key) { return XLSXImporter.EMPTY_KEY_POLICIES[key]; }
+        var policies = Object.keys(XLSXImporter.EMPTY_KEY_POLICIES).map(getPolicy);
+        if (policies.indexOf(_policy) === -1) throw new Error("Invalid parameter: no empty key policy allowed with name '" + policy + "'");
+
+        // Update the policy
+        this._emptyKeyPolicy = _policy;
+        this._trace("Defined empty key policy: " + _policy);
+    },
+
+    /**
+     * Match the coalescing values ignoring case and whitespaces (leading, trailing and repeated ones).
+     *
+     * Reference fields are always matched by SysID.
      *
      * @param {Boolean} active Value used to enable/disable the functionality
      */
-    sloppy: function(active) {
+    normalizeKeys: function(active) {
         // Validate parameters
         if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
 
         // Update the mode
-        this._sloppy = active;
-        this._trace("Sloppy import mode has now state: " + (this._sloppy ? "ENABLED" : "DISABLED"));
+        this._normalizeKeys = active;
+        this._trace("Coalescing keys normalization has now state: " + (this._normalizeKeys ? "ENABLED" : "DISABLED"));
     },
 
-    /* ################################# End Public Methods ################################# */
+    /**
+     * Enable the SYNC mode: after the import, the records whose coalescing values are not in the file are retired.
+     *
+     * Only records in the coalescing scope (and in the provided encoded query) are retired.
+     *
+     * @param {String} action One of the `XLSXImporter.SYNC_ACTIONS` values, null to disable the SYNC mode
+     * @param {String} [encodedQuery] Encoded query limiting the records that can be retired
+     * @param {object} [values] Values to set on the retired records when the action is `XLSXImporter.SYNC_ACTIONS.SET`, having as key the fields' names
+     */
+    sync: function(action, encodedQuery, values) {
+        // Disable the mode
+        if (gs.nil(action)) {
+            this._syncAction = null;
+            this._trace("Sync import mode has now state: DISABLED");
+            return;
+        }
 
-    /* ################################ Start Private Methods ################################ */
+        // Validate parameters
+        if (typeof action != "string") throw new Error("Invalid parameter: the 'action' parameter is not a string");
+        if (!gs.nil(encodedQuery) && typeof encodedQuery != "string") throw new Error("Invalid parameter: the 'encodedQuery' parameter is not a string");
+        if (!gs.nil(values) && typeof values != "object") throw new Error("Invalid parameter: the 'values' parameter is not an object");
+
+        // Verify if the "action" parameter is a valid one
+        var _action = this._normalize(action);
+        function getAction(key) { return XLSXImporter.SYNC_ACTIONS[key]; }
+        var actions = Object.keys(XLSXImporter.SYNC_ACTIONS).map(getAction);
+        if (actions.indexOf(_action) === -1) throw new Error("Invalid parameter: no sync action allowed with name '" + action + "'");
+
+        // Get the values to set on the retired records
+        var _values = {};
+        if (_action == XLSXImporter.SYNC_ACTIONS.DEACTIVATE) _values.active = false;
+        if (_action == XLSXImporter.SYNC_ACTIONS.SET) {
+            if (gs.nil(values) || Object.keys(values).length === 0) throw new Error("Invalid parameter: the 'values' parameter is required by the '" + _action + "' action");
+            for (var field in values) _values[this._normalize(field)] = values[field];
+        }
+
+        // Verify if the fields exist on the table
+        for (var _field in _values) {
+            if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+        }
+
+        this._syncAction = _action;
+        this._syncScope = gs.nil(encodedQuery) ? null : encodedQuery;
+        this._syncValues = _values;
+        this._trace("Sync import mode has now state: ENABLED (Action: " + _action + ")");
+    },
 
     /**
-     * @typedef {object} ImportResult Result of the import operation
-     * @property {Boolean} success Result of the operation
-     * @property {String} code Specific result code of the operation
-     * @property {String} message Message related to the current operation
-     * @property {number} rows Number of processed rows
-     * @property {number} elapsed Time elapsed for the import process in milliseconds
-     * @property {object} [data] Optional data object
+     * Set the maximum number of records that can be retired by the SYNC mode.
+     *
+     * When more records are missing from the file, nothing is retired.
+     *
+     * @param {Number} limit Maximum number of records to retire
      */
+    syncLimit: function(limit) {
+        // Validate parameters
+        if (gs.nil(limit) || typeof limit != "number" || limit < 0 || limit % 1 !== 0) throw new Error("Invalid parameter: the 'limit' parameter is empty or not a non-negative integer");
+
+        this._syncLimit = limit;
+        this._trace("Defined sync limit: " + limit);
+    },
 
     /**
-     * @typedef {object} RowResult Result of the row import
-     * @property {number} Index of the current row
-     * @property {String} code Response code for the result of the parsing of the current row
-     * @property {String} message Human readable message representing the result of the parsing of the current row
-     * @property {SysID|String} target SysID of the imported record (when created or updated) or field name when the result is created after a validation function
-     * @property {Error} Error object when an error occour
+     * Set if the SYNC mode retires the records missing from the file even when some rows are not imported.
+     *
+     * By default nothing is retired when a row fails, because its record could be retired only since the row could not be read.
+     *
+     * @param {Boolean} active True to retire the records even when some rows are not imported
      */
+    syncOnFailures: function(active) {
+        // Validate parameters
+        if (typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is not a boolean");
+
+        // Update the mode
+        this._syncOnFailures = active;
+        this._trace("Sync on failures mode has now state: " + (this._syncOnFailures ? "ENABLED" : "DISABLED"));
+    },
 
     /**
-     * Create a standard return message.
+     * Load the coalescing values of the target table once at the start of the import, instead of querying the table for every row.
      *
-     * @return {ImportResult} Result of the import operation
+     * Records inserted or updated by the import are kept in the index, so the result is the same of the queries.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     * @param {String} [encodedQuery] Encoded query limiting the loaded records, in addition to the coalescing scope
      */
-    _createReturnValue: function(code, message, data, rows) {
-        var obj = {};
-        /**
-         * Success of the import process.
-         */
-        obj.success = code === XLSXImporter.STATES.SUCCESS;
-        /**
-         * Specific code result of the operation.
-         */
-        obj.code = code;
-        /**
-         * Generic message to return.
-         */
-        obj.message = message || "";
-        /**
-         * Number of processed rows.
-         */
-        obj.rows = rows || 0;
-        /**
-         * Time elapsed for the import process in milliseconds.
-         */
-        obj.elapsed = new Date() - this._start;
-        /**
-         * Generic data object to return.
-         */
-        obj.data = data || null;
-
-        this._trace("Return value created: " + JSON.stringify(obj));
+    preload: function(active, encodedQuery) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (!gs.nil(encodedQuery) && typeof encodedQuery != "string") throw new Error("Invalid parameter: the 'encodedQuery' parameter is not a string");
 
-        return obj;
+        // Update the mode
+        this._preload = active;
+        this._preloadFilter = gs.nil(encodedQuery) ? null : encodedQuery;
+        this._trace("Preload of the coalescing index has now state: " + (this._preload ? "ENABLED" : "DISABLED"));
     },
 
     /**
-     * Get all the non system fields for the current import target table.
+     * Define the behaviour when more rows of the file have the same coalescing values.
      *
-     * @return {String[]} List of non-system field names for the instance table
+     * The whole file is read before importing it to find these rows, so no policy is used by default:
+     * the rows are imported in sequence, every row updating the record of the previous ones.
+     *
+     * @param {String} policy One of the `XLSXImporter.DUPLICATE_POLICIES` values, null to import the rows in sequence
      */
-    _fields: function() {
-        // Create an empty record (without insertion) for the current target table
-        var record = new GlideRecord(this.table);
-        record.initialize();
+    duplicates: function(policy) {
+        // Validate parameters
+        if (!gs.nil(policy) && typeof policy != "string") throw new Error("Invalid parameter: the 'policy' parameter is not a string");
 
-        // Extract all the fields for the record
-        var fields = Object.keys(record);
+        // Import the rows in sequence
+        if (gs.nil(policy)) {
+            this._duplicatePolicy = null;
+            this._trace("Duplicate policy removed: rows are imported in sequence");
+            return;
+        }
 
-        // Ignore system fields
-        function isNotSystemField(field) { return !field.startsWith("sys_"); }
-        fields = fields.filter(isNotSystemField);
+        // Verify if the "policy" parameter is a valid one
+        var _policy = this._normalize(policy);
+        function getPolicy(key) { return XLSXImporter.DUPLICATE_POLICIES[key]; }
+        var policies = Object.keys(XLSXImporter.DUPLICATE_POLICIES).map(getPolicy);
+        if (policies.indexOf(_policy) === -1) throw new Error("Invalid parameter: no duplicate policy allowed with name '" + policy + "'");
 
-        return fields;
+        // Update the policy
+        this._duplicatePolicy = _policy;
+        this._trace("Defined duplicate policy: " + _policy);
     },
 
     /**
-     * Normalize and clean the string.
+     * Ignore the specified header while processing the Excel file.
+     *
+     * @param {String|Number} header Name of the header in the Excel file, column letter or column index
      */
-    _normalize: function(value) {
-        // Remove beginning and trailing spaces
-        var _value = value.trim();
-
-        // Make the string lowercase
-        _value = _value.toLowerCase();
+    ignore: function(header) {
+        // Convert the column index to its letter
+        if (this._isPositiveInteger(header)) header = this._columnName(header - 1);
 
-        // Remove special chars
-        _value = _value.replace(/[\t\n\r]/gm, "");
+        // Validate parameters
+        if (gs.nil(header) || typeof header != "string") throw new Error("Invalid parameter: the 'header' parameter is empty or not a string");
 
-        // Remove multiple whitespaces
-        _value = _value.replace(/\s+/gm, " ");
+        // Verify that the header is not in the required list
+        var _header = this._normalize(header);
+        if (this._required.indexOf(_header) != -1) throw new Error("Invalid parameter: the field '" + _field + "' is also a required one");
 
-        return _value;
+        // Save the header to ignore
+        if (this._ignored.indexOf(_header) === -1) this._ignored.push(_header);
+        this._trace("Set header '" + _header + "' as ignored");
     },
 
     /**
-     * Normalize the keys of the row object, making them lowercase and without starting and trailing spaces.
+     * Set the specified field as mandatory.
+     *
+     * @param {String|Number} header Name of the header in the Excel file, column letter or column index
      */
-    _normalizeRowHeaders: function(row) {
-        var obj = {};
-
-        // Extract the keys from the row
-        var keys = Object.keys(row);
-
-        // For every row, normalize the key
-        for (var i = 0; i < keys.length; i++) {
-            // Extract the key from the object
-            var key = keys[i];
+    require: function(header) {
+        // Convert the column index to its letter
+        if (this._isPositiveInteger(header)) header = this._columnName(header - 1);
 
-            // Normalize the key
-            var nkey = this._normalize(key);
+        // Validate parameters
+        if (gs.nil(header) || typeof header != "string") throw new Error("Invalid parameter: the 'header' parameter is empty or not a string");
 
-            obj[nkey] = row[key];
-        }
+        // Verify that the header is not in the ignored list
+        var _header = this._normalize(header);
+        if (this._ignored.indexOf(_header) != -1) throw new Error("Invalid parameter: the field '" + _field + "' is set to be ignored");
 
-        return obj;
+        // Save the header to require
+        if (this._required.indexOf(_header) == -1) this._required.push(_header);
+        this._trace("Set header '" + _header + "' as required");
     },
 
     /**
-     * Create a result object for a signle row parsed.
+     * Define the field used to look up the referenced records of a reference field.
      *
-     * @return {RowResult} Import result of the current row
+     * By default the referenced records are looked up by the display field of the referenced table.
+     *
+     * @param {String} field Name of the reference field on the target import table
+     * @param {String} lookup Name of the field on the referenced table matching the cell values
      */
-    _createRowResult: function(index, code, info, target, error) {
-        /**
-         * This object represents the result of the single row and contains
-         * all the information of the import for the current row.
-         */
-        var obj = {};
-        /**
-         * Index of the current row.
-         */
-        obj.row = index;
-        /**
-         * Response code for the result of the parsing of the current row.
-         */
-        obj.code = code;
-
-        var isValidationFailed = XLSXImporter.RCODES.SKIPPED_VALIDATION === code;
-        /**
-         * Human readable message representing the result of the parsing of the current row.
-         * 
-         * If the validation of the row failed, this value will contains the message linked to the validation function.
-         */
-        obj.message = isValidationFailed ? info : this.MESSAGES[code];
+    lookup: function(field, lookup) {
+        // Validate parameters
+        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (gs.nil(lookup) || typeof lookup != "string") throw new Error("Invalid parameter: the 'lookup' parameter is empty or not a string");
 
-        // Add additional information for the allowed response code
-        var codeNeedAdditionalInfo = [XLSXImporter.RCODES.SKIPPED_EVENT].indexOf(code) != -1;
-        if (codeNeedAdditionalInfo && !gs.nil(info)) obj.message += info;
+        // Verify if the "field" parameter is a reference field of the table
+        var _field = this._normalize(field);
+        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+        var descriptor = this._describe(_field);
+        if (descriptor.type != "reference") throw new Error("Invalid parameter: the field '" + _field + "' is not a reference field");
 
-        /**
-         * SysID of the imported record (when created or updated) or field
-         * name when the result is created after a validation function.
-         */
-        obj.target = target || null;
+        // Verify if the "lookup" parameter exists on the referenced table
+        var _lookup = this._normalize(lookup);
+        var grReferenced = new GlideRecord(descriptor.reference);
+        if (!grReferenced.isValidField(_lookup)) throw new Error("Invalid parameter: no field with name '" + _lookup + "' exists on the table '" + descriptor.reference + "'");
 
-        /**
-         * Error object when an error occour.
-         */
-        obj.error = error || null;
-        return obj;
+        // Finally associate the lookup field with the reference field
+        this._lookups[_field] = _lookup;
+        this._trace("Defined lookup field for: " + _field + " -> " + descriptor.reference + "." + _lookup);
     },
 
     /**
-     * Create a default mapping where we suppose that the Excel's cells have the same value as the fields' labels.
+     * Enable or disable the resolution of the reference fields from the display value (or lookup field) of the referenced records.
+     *
+     * By default the resolution is disabled and cell values are written as they are in the reference fields.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
      */
-    _mapLabelWithName: function() {
-        // Create an empty record (without insertion) for the current target table
-        var record = new GlideRecord(this.table);
-        record.initialize();
+    references: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
 
-        // Get all non system fields
-        var fields = this._fields();
+        // Update the mode
+        this._references = active;
+        this._trace("References resolution has now state: " + (this._references ? "ENABLED" : "DISABLED"));
+    },
 
-        for (var i = 0; i < fields.length; i++) {
-            // Extract the field name
-            var field = fields[i];
+    /**
+     * Define the behaviour when a cell value does not match any choice of a choice field.
+     *
+     * @param {String} field Name of the choice field on the target import table
+     * @param {String} policy One of the `XLSXImporter.CHOICE_POLICIES` values
+     * @param {String} [value] Value to use when the policy is `XLSXImporter.CHOICE_POLICIES.DEFAULT`
+     */
+    choice: function(field, policy, value) {
+        // Validate parameters
+        if (gs.nil(field) || typeof field != "string") throw new Error("Invalid parameter: the 'field' parameter is empty or not a string");
+        if (gs.nil(policy) || typeof policy != "string") throw new Error("Invalid parameter: the 'policy' parameter is empty or not a string");
 
-            // Get the representation of the field
-            var element = record.getElement(field);
+        // Verify if the "field" parameter is a choice field of the table
+        var _field = this._normalize(field);
+        if (this._fields().indexOf(_field) === -1) throw new Error("Invalid parameter: no field with name '" + _field + "' exists on the table '" + this.table + "'");
+        if (!this._describe(_field).choice) throw new Error("Invalid parameter: the field '" + _field + "' is not a choice field");
 
-            // Add the default mapping for this field
-            this.map(element.getLabel(), element.getName());
-        }
-        this._trace("Default mapping executed for " + fields.length + " fields for record in table: " + this.table);
+        // Verify if the "policy" parameter is a valid one
+        var _policy = this._normalize(policy);
+        function getPolicy(key) { return XLSXImporter.CHOICE_POLICIES[key]; }
+        var policies = Object.keys(XLSXImporter.CHOICE_POLICIES).map(getPolicy);
+        if (policies.indexOf(_policy) === -1) throw new Error("Invalid parameter: no choice policy allowed with name '" + policy + "'");
+        if (_policy == XLSXImporter.CHOICE_POLICIES.DEFAULT && gs.nil(value)) throw new Error("Invalid parameter: the 'value' parameter is required by the '" + _policy + "' policy");
+
+        // Finally associate the policy with the field
+        var obj = {};
+        obj.policy = _policy;
+        obj.value = _policy == XLSXImporter.CHOICE_POLICIES.DEFAULT ? String(value) : null;
+        this._choicePolicies[_field] = obj;
+        this._trace("Defined choice policy for: " + _field + " -> " + _policy);
     },
 
     /**
-     * Parse a single row of the Excel file.
+     * Enable or disable the translation of the choice labels into the stored choice values.
+     *
+     * By default the translation is disabled and cell values are written as they are in the choice fields.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
      */
-    _parseRow: function(parser, index) {
-        try {
+    choices: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._choices = active;
+        this._trace("Choices translation has now state: " + (this._choices ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Set the language of the choice labels in the file.
+     *
+     * By default the language of the current session is used, falling back to English.
+     *
+     * @param {String} language Language code (e.g. "en", "it")
+     */
+    language: function(language) {
+        // Validate parameters
+        if (gs.nil(language) || typeof language != "string") throw new Error("Invalid parameter: the 'language' parameter is empty or not a string");
+
+        // Update the language
+        this._language = this._normalize(language);
+        this._trace("Choices language set to: " + this._language);
+    },
+
+    /**
+     * Enable or disable the conversion of the cell values to the internal type of the target fields.
+     *
+     * Supported types: date, date/time, boolean, integer, decimal, float, currency, price and duration.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    coerce: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._coerce = active;
+        this._trace("Type coercion has now state: " + (this._coerce ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Set the date system used by the Excel file to store numeric dates.
+     *
+     * @param {Number} system 1900 (Windows, default) or 1904 (files created with older Mac versions of Excel)
+     */
+    dateSystem: function(system) {
+        // Validate parameters
+        if (system !== 1900 && system !== 1904) throw new Error("Invalid parameter: the 'system' parameter must be 1900 or 1904");
+
+        // Update the date system
+        this._dateSystem = system;
+        this._trace("Date system set to: " + this._dateSystem);
+    },
+
+    /**
+     * Set the decimal separator used by the file for the numbers that could be read both ways.
+     *
+     * Without it, a number with a single separator followed by three digits (e.g. "1,000" or "1.000") is not valid.
+     *
+     * @param {String} separator Decimal separator, "." or ","
+     */
+    decimalSeparator: function(separator) {
+        // Validate parameters
+        if (separator !== "." && separator !== ",") throw new Error("Invalid parameter: the 'separator' parameter must be '.' or ','");
+
+        // Update the decimal separator
+        this._decimalSeparator = separator;
+        this._trace("Decimal separator set to: " + this._decimalSeparator);
+    },
+
+    /**
+     * Enable or disable the debug mode, logging every step in details.
+     * 
+     * Note: It's sugsested to NOT enable this mode in production instance.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    debug: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._debug = active;
+        this._trace("Debug mode has now state: " + (this._debug ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Enable or disable the virtual import that execute the import without actually updating records in the database.
+     * 
+     * Useful to validate data before the actual import.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    virtual: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._virtual = active;
+        this._trace("Virtual import mode has now state: " + (this._virtual ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Enable or disable the journal of the changes, needed to revert the import with `XLSXImporter.rollback`.
+     *
+     * The journal table (`XLSXImporter.TABLES.JOURNAL`) must exist to enable it.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    journal: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (active && !gs.tableExists(XLSXImporter.TABLES.JOURNAL)) throw new Error("Invalid parameter: the journal cannot be enabled as no table with name '" + XLSXImporter.TABLES.JOURNAL + "' exists in the database");
+
+        // Update the mode
+        this._journaling = active;
+        this._trace("Journal mode has now state: " + (this._journaling ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Enable or disable the history of the import, saving it in the run table with the rows not imported successfully in the log table.
+     *
+     * Background imports and imports in batches are always saved in the history. The run (`XLSXImporter.TABLES.RUN`)
+     * and log (`XLSXImporter.TABLES.LOG`) tables must exist to enable it.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    history: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (active && !gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: the history cannot be enabled as no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+        if (active && !gs.tableExists(XLSXImporter.TABLES.LOG)) throw new Error("Invalid parameter: the history cannot be enabled as no table with name '" + XLSXImporter.TABLES.LOG + "' exists in the database");
+
+        // Update the mode
+        this._history = active;
+        this._trace("History mode has now state: " + (this._history ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Run the import without executing the validation of the data.
+     * 
+     * CAUTION: Be careful when using this method as you can import non-parsed or invalid data.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    sloppy: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._sloppy = active;
+        this._trace("Sloppy import mode has now state: " + (this._sloppy ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Match the headers without an exact mapping ignoring punctuation, accents and plurals (e.g. "Serial-Numbers" matches "Serial Number").
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    fuzzy: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._fuzzy = active;
+        this._trace("Fuzzy headers matching has now state: " + (this._fuzzy ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Fail the import when the file has headers not mapped to any field and not ignored.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    strict: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._strict = active;
+        this._trace("Strict import mode has now state: " + (this._strict ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Run every validation method of a row and return all the errors, instead of stopping at the first failing one.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    collect: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._collect = active;
+        this._trace("Collect validation mode has now state: " + (this._collect ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Set the row containing the headers, useful when the file starts with a title block.
+     *
+     * @param {Number} row Number of the header row as shown in Excel (starting from 1)
+     */
+    headerRow: function(row) {
+        // Validate parameters
+        if (!this._isPositiveInteger(row)) throw new Error("Invalid parameter: the 'row' parameter is not a positive integer");
+
+        // Update the header row
+        this._headerRow = row;
+        this._trace("Header row set to: " + this._headerRow);
+    },
+
+    /**
+     * Enable or disable the import of files without a header row.
+     *
+     * Enabling this mode also enables the POSITIONAL mode, as there are no header names to map.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    headerless: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+
+        // Update the mode
+        this._headerless = active;
+        if (this._headerless) this._positional = true;
+        this._trace("Headerless import mode has now state: " + (this._headerless ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Enable or disable the identification of the columns by their position instead of their header.
+     *
+     * In this mode the methods `map`, `require` and `ignore` accept the column letter (e.g. "C") or its index starting from 1.
+     *
+     * @param {Boolean} active Value used to enable/disable the functionality
+     */
+    positional: function(active) {
+        // Validate parameters
+        if (gs.nil(active) || typeof active != "boolean") throw new Error("Invalid parameter: the 'active' parameter is empty or not a boolean");
+        if (!active && this._headerless) throw new Error("Invalid parameter: the positional mode cannot be disabled for headerless imports");
+
+        // Update the mode
+        this._positional = active;
+        this._trace("Positional import mode has now state: " + (this._positional ? "ENABLED" : "DISABLED"));
+    },
+
+    /**
+     * Limit the import to a range of rows of the file.
+     *
+     * @param {Number} first Number of the first row to import as shown in Excel, null to start right after the header row
+     * @param {Number} [last] Number of the last row to import as shown in Excel, omit or null to import until the end of the file
+     */
+    rows: function(first, last) {
+        // Validate parameters
+        if (first !== null && !this._isPositiveInteger(first)) throw new Error("Invalid parameter: the 'first' parameter is not null or a positive integer");
+        if (!gs.nil(last) && !this._isPositiveInteger(last)) throw new Error("Invalid parameter: the 'last' parameter is not a positive integer");
+        if (first !== null && !gs.nil(last) && last < first) throw new Error("Invalid parameter: the 'last' parameter is lower than the 'first' one");
+
+        // Update the range
+        this._firstRow = first;
+        this._lastRow = gs.nil(last) ? null : last;
+        this._trace("Rows range set to: " + (this._firstRow || "start") + " - " + (this._lastRow || "end"));
+    },
+
+    /**
+     * Import the rows in batches, saving a checkpoint after each of them: a stopped import can continue from its last checkpoint with the `resume` method.
+     *
+     * The import keeps its checkpoints in the run table, the identifier to resume it is the `run` property of the import result.
+     *
+     * @param {Number} size Number of rows of every batch, 0 to disable the checkpoints
+     */
+    batch: function(size) {
+        // Validate parameters
+        if (gs.nil(size) || typeof size != "number" || size < 0 || size % 1 !== 0) throw new Error("Invalid parameter: the 'size' parameter is empty or not a non-negative integer");
+        if (size > 0 && !gs.tableExists(XLSXImporter.TABLES.RUN)) throw new Error("Invalid parameter: checkpoints cannot be saved as no table with name '" + XLSXImporter.TABLES.RUN + "' exists in the database");
+        if (size > 0 && !gs.tableExists(XLSXImporter.TABLES.LOG)) throw new Error("Invalid parameter: checkpoints cannot be saved as no table with name '" + XLSXImporter.TABLES.LOG + "' exists in the database");
+
+        this._batch = size;
+        this._trace("Defined batch size: " + size);
+    },
+
+    /* ################################# End Public Methods ################################# */
+
+    /* ################################ Start Private Methods ################################ */
+
+    /**
+     * Execute the import process from the given Excel file, without notifying its end.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @return {ImportResult} Result of the operation
+     */
+    _import: function(attachment_sys_id) {
+        // Save the start time of the process
+        this._start = new Date();
+
+        // Identify the run, used to find it in the history and to revert its changes (nothing to revert when running in VIRTUAL mode)
+        if (!gs.nil(this._job)) this._runId = this._job;
+        else this._runId = !this._virtual && this._journaling ? String(gs.generateGUID()) : null;
+        this._journalSequence = gs.nil(this._checkpoint) ? 0 : this._checkpoint.sequence;
+
+        // The label mappings are disabled only while importing as related target
+        this._labelMappings = true;
+
+        // Clean the data cached by previous imports
+        this._referenceCache = {};
+        this._choiceCache = {};
+        this._trace("Starting import process at " + this._start.toString());
+        this._trace("Attachment SysID used for import: " + attachment_sys_id);
+
+        // Notify the mode the import is running on
+        if (this._virtual) this._trace("Import running in VIRTUAL mode: no data will be saved in the database");
+        if (this._sloppy) this._trace("Import running in SLOPPY mode: no validation controls will be performed");
+
+        // Open the parser on the selected worksheet
+        var opened = this._openParser(attachment_sys_id);
+        if (!opened.success) return this._createReturnValue(opened.code, opened.message, opened.sheets);
+        var parser = opened.parser;
+
+        // Read the headers of the file (the column letters when running in POSITIONAL mode)
+        this._progress(XLSXImporter.PHASES.HEADERS, 0);
+        this._columns = this._readColumns(parser);
+        var headers = this._getHeaders();
+
+        // Share the state of the import with the related targets
+        this._prepareRelated();
+
+        // Find the field of every header
+        var resolution = this._resolveHeaders(headers);
+
+        // Verify if all the required headers are in the file
+        if (!this._sloppy) {
+            var result = this._validateHeaders(headers);
+            if (!result.success) {
+                // Notify the missing headers before failing
+                var missing = {};
+                missing.headers = headers;
+                missing.missing = result.missing;
+                this._emitEvent("onHeaderMissing", missing);
+
+                parser.close();
+                var missingValue = this._createReturnValue(XLSXImporter.STATES.MISSING_REQUIRED_HEADER, "One or more required headers are missing", result.missing);
+                missingValue.headers = resolution;
+                return missingValue;
+            }
+
+            // Verify if all the headers are mapped when running in STRICT mode
+            if (this._strict && resolution.unmapped.length > 0) {
+                parser.close();
+                var unknownValue = this._createReturnValue(XLSXImporter.STATES.UNKNOWN_HEADER, "One or more headers are not mapped to any field", resolution.unmapped);
+                unknownValue.headers = resolution;
+                return unknownValue;
+            }
+            this._trace("Headers correctly validated");
+        } else this._trace("Headers validation skipped because running in SLOPPY mode");
+
+        // Find the rows of the file having the same coalescing values and all the coalescing values of the file, only when needed
+        var scanned = this._coalescing.length > 0 && (!gs.nil(this._duplicatePolicy) || !gs.nil(this._syncAction));
+        if (scanned) this._progress(XLSXImporter.PHASES.SCAN, 0);
+        var scan = scanned ? this._scanFile(attachment_sys_id) : null;
+        this._duplicates = gs.nil(scan) || gs.nil(this._duplicatePolicy) ? {} : scan.duplicates;
+
+        // Load the coalescing values of the target table
+        this._index = null;
+        if (this._preload && this._coalesceGroups.length > 0) this._loadCoalescingIndex();
+
+        // Notify the start of the import with the headers of the file
+        var start = {};
+        start.headers = headers;
+        this._emitEvent("onImportStart", start);
+
+        /**
+         * List of results of import for every row in the input file, starting from the ones of the checkpoint.
+         */
+        var results = [];
+        if (!gs.nil(this._checkpoint)) this._trace("Import resumed after row " + this._checkpoint.row);
+        this._loggedRow = gs.nil(this._checkpoint) ? 0 : this._checkpoint.row;
+
+        // Number of rows imported in the current batch
+        var batched = 0;
+
+        // Count the rows to import, only needed to report the progress of a background import
+        this._cancelCheck = new Date().getTime();
+        var cancelled = !this._progress(XLSXImporter.PHASES.ROWS, 0, gs.nil(this._job) ? null : this._countRows(attachment_sys_id));
+
+        // Parse every row in the file
+        this._readRows(parser, function(data, index) {
+            // Stop before the first row when cancelled while counting the rows
+            if (cancelled) return false;
+
+            // Parse the current row and get the result
+            var obj = this._parseRow(data, index);
+            this._trace("Correctly parsed row " + index + " with result: " + JSON.stringify(obj));
+
+            // Keep the original values of the rows to fix, used by the report
+            if (this._isFailedRow(obj)) obj.values = this._positional ? this._getPositionalRow(data) : data;
+
+            // Memorize the row result
+            results.push(obj);
+
+            // Import the previous rows with the same coalescing values when the row kept for them fails
+            this._importDeferred(obj, results);
+
+            // Save a checkpoint at the end of every batch
+            batched++;
+            var checkpoint = this._batch > 0 && batched % this._batch === 0;
+            if (checkpoint) this._saveCheckpoint(index, results);
+
+            // Update the progress, stopping the import when cancelled
+            var progressed = results.length % this._progressInterval !== 0 || this._progress(XLSXImporter.PHASES.ROWS, results.length);
+            if (!progressed || this._isCancelled(checkpoint)) {
+                if (this._batch > 0 && !checkpoint) this._saveCheckpoint(index, results);
+                cancelled = true;
+                return false;
+            }
+        }, gs.nil(this._checkpoint) ? null : this._checkpoint.row + 1);
+
+        // Close the connection to the input stream and release the document
+        parser.close();
+        this._trace("GlideExcelParsed correctly closed");
+
+        // Records are never retired by a cancelled import
+        if (!cancelled && !gs.nil(this._syncAction)) cancelled = !this._progress(XLSXImporter.PHASES.SYNC, results.length);
+        if (cancelled) {
+            this._trace("Import cancelled after " + results.length + " rows");
+            var cancelledValue = this._createReturnValue(XLSXImporter.STATES.CANCELLED, "Import cancelled after " + results.length + " rows", results, results.length);
+            cancelledValue.headers = resolution;
+            this._addCheckpointCounters(cancelledValue);
+            return cancelledValue;
+        }
+
+        // Retire the records missing from the file
+        var sync = gs.nil(this._syncAction) ? null : this._synchronize(gs.nil(scan) ? null : scan.keys, results);
+
+        this._trace("Ending import process at " + (new Date()).toString());
+        var value = this._createReturnValue(XLSXImporter.STATES.SUCCESS, "Import completed successfully", results, results.length);
+        value.sync = sync;
+        value.headers = resolution;
+        this._addCheckpointCounters(value);
+        return value;
+    },
+
+    /**
+     * Import the rows set aside by the LAST_WINS policy when the last row with the same coalescing values fails,
+     * starting from the closest one, until one of them is imported.
+     *
+     * The results of the imported rows replace their SKIPPED_DUPLICATE results.
+     *
+     * @param {RowResult} result Result of the row just imported
+     * @param {Array} results Results of all the imported rows
+     */
+    _importDeferred: function(result, results) {
+        var group = this._duplicates[result.row];
+        if (gs.nil(group) || !gs.nil(group.winner) || !this._isFailedRow(result)) return;
+
+        // The rows set aside have not failed, they can still be imported
+        var isResult = function(deferred) { return deferred.result === result; };
+        if (group.deferred.some(isResult)) return;
+
+        // Only the failure of the last row still importable let the previous rows be imported
+        var isCandidate = function(i) { return group.failed.indexOf(i) == -1; };
+        var last = group.rows.filter(isCandidate).pop();
+        group.failed.push(result.row);
+        if (result.row !== last) return;
+
+        while (gs.nil(group.winner) && group.deferred.length > 0) {
+            var deferred = group.deferred.pop();
+            this._trace("Importing row " + deferred.index + " in place of the failed row " + result.row);
+
+            var obj = this._parseRow(deferred.data, deferred.index);
+            if (this._isFailedRow(obj)) {
+                obj.values = deferred.result.values;
+                group.failed.push(deferred.index);
+            }
+            results[results.indexOf(deferred.result)] = obj;
+        }
+
+        // The rows still set aside are now skipped in favour of the imported one
+        for (var i = 0; i < group.deferred.length && !gs.nil(group.winner); i++) {
+            var skipped = this._createRowResult(group.deferred[i].index, XLSXImporter.RCODES.SKIPPED_DUPLICATE, String(group.winner), null, null, null, group.deferred[i].warnings);
+            skipped.values = group.deferred[i].result.values;
+            results[results.indexOf(group.deferred[i].result)] = skipped;
+            group.deferred[i].result = skipped;
+        }
+    },
+
+    /**
+     * Share the state of the current import with the related targets, so their changes are part of the same run.
+     */
+    _prepareRelated: function() {
+        for (var name in this._related) {
+            var importer = this._related[name].importer;
+            importer._start = this._start;
+            importer._runId = this._runId;
+            importer._virtual = this._virtual;
+            importer._scanning = this._scanning;
+            importer._journaling = this._journaling;
+            importer._positional = this._positional;
+            importer._columns = this._columns;
+            importer._labelMappings = this._related[name].labels;
+            importer._referenceCache = {};
+            importer._choiceCache = {};
+            importer._duplicates = {};
+            importer._headerFields = {};
+
+            // Load the coalescing values of the related table
+            importer._index = null;
+            if (importer._preload && importer._coalesceGroups.length > 0) importer._loadCoalescingIndex();
+
+            importer._prepareRelated();
+        }
+    },
+
+    /**
+     * Import the records of the related targets from the same row.
+     *
+     * @param {object} data Row data, as read from the file
+     * @param {Number} index Index of the row
+     * @param {String} sys_id SysID of the record of this importer (null if not created in VIRTUAL mode)
+     * @return {object} Object having as key the names of the related targets and as value their row results
+     */
+    _importRelated: function(data, index, sys_id) {
+        var results = {};
+
+        for (var name in this._related) {
+            var related = this._related[name];
+
+            // Reference the record of this importer
+            related.importer._parentValues = {};
+            if (!gs.nil(related.field) && !gs.nil(sys_id)) related.importer._parentValues[related.field] = sys_id;
+
+            // Keep the order of the changes in the journal
+            related.importer._journalSequence = this._journalSequence;
+            results[name] = related.importer._parseRow(data, index);
+            this._journalSequence = related.importer._journalSequence;
+        }
+
+        return results;
+    },
+
+    /**
+     * Read every requested row of the worksheet, starting after the header.
+     *
+     * @param {GlideExcelParser} parser Parser opened on the worksheet, with the header already read
+     * @param {Function} f Method executed (with this object as context) for every row, accept the row data and the row index as shown in Excel and returns false to stop reading
+     * @param {Number} [start] Index of the first row passed to the method, the previous rows are skipped
+     */
+    _readRows: function(parser, f, start) {
+        /**
+         * Index of the current row of the file, matching the row number shown in Excel.
+         *
+         * Starts from the row after the header or from the first row if the file has no header.
+         */
+        var index = this._headerless ? 1 : this._headerRow + 1;
+
+        // Check if a row was already read before the start
+        var isStarted = function(index) { return gs.nil(start) || index >= start; };
+
+        // Without a header, the row read by the parser as header is the first row of data
+        if (this._headerless) {
+            if (this._isRowInRange(index) && isStarted(index) && f.call(this, this._getHeaderRowValues(), index) === false) return;
+            index++;
+        }
+
+        while (parser.next()) {
+            // Stop reading the file after the last requested row
+            if (this._lastRow !== null && index > this._lastRow) break;
+
+            // Stop reading the file when requested by the method
+            if (this._isRowInRange(index) && isStarted(index) && f.call(this, parser.getRow(), index) === false) break;
+
+            // Increment the row index
+            index++;
+        }
+    },
+
+    /**
+     * Count the rows of the worksheet that would be imported, empty ones included.
+     *
+     * @param {String} attachment_sys_id SysID of the attachment to read
+     * @return {Number} Number of rows in the selected range
+     */
+    _countRows: function(attachment_sys_id) {
+        var opened = this._openParser(attachment_sys_id);
+        if (!opened.success) return 0;
+
+        var count = 0;
+        this._readRows(opened.parser, function() { count++; });
+        opened.parser.close();
+
+        return count;
+    },
+
+    /**
+     * Create the run record of an import, used to report its progress and to keep its checkpoints.
+     *
+     * @param {String} attachment_sys_id SysID of the imported attachment
+     * @param {object} [definition] Definition of the importer, needed only to execute the import in background
+     * @return {String} SysID of the run record, used as identifier of the import
+     */
+    _createRun: function(attachment_sys_id, definition) {
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        grRun.initialize();
+        grRun.setValue("u_table", this.table);
+        grRun.setValue("u_attachment", attachment_sys_id);
+        if (!gs.nil(definition)) grRun.setValue("u_definition", JSON.stringify(definition));
+        grRun.setValue("u_state", XLSXImporter.RUN_STATES.QUEUED);
+        grRun.setValue("u_processed", 0);
+        grRun.setValue("u_total", 0);
+        grRun.setValue("u_user", gs.getUserID());
+
+        // Save the modes of the import
+        var options = {};
+        options.virtual = this._virtual;
+        options.journal = this._journaling;
+        options.history = this._history;
+        options.sloppy = this._sloppy;
+        options.collect = this._collect;
+        options.strict = this._strict;
+        options.fuzzy = this._fuzzy;
+        options.normalizeKeys = this._normalizeKeys;
+        options.references = this._references;
+        options.choices = this._choices;
+        options.coerce = this._coerce;
+        options.batch = this._batch;
+        grRun.setValue("u_options", JSON.stringify(options));
+
+        return String(grRun.insert());
+    },
+
+    /**
+     * Execute the import of a run record, continuing from its last checkpoint (if any), and save its final state and result.
+     *
+     * @param {String} runId SysID of the run record
+     * @param {String} attachment_sys_id SysID of the attachment to import
+     * @return {ImportResult} Result of the import
+     */
+    _runJob: function(runId, attachment_sys_id) {
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        grRun.get(runId);
+        grRun.setValue("u_state", XLSXImporter.RUN_STATES.RUNNING);
+        if (gs.nil(grRun.getValue("u_started"))) grRun.setValue("u_started", new GlideDateTime());
+        grRun.update();
+
+        this._job = runId;
+        this._checkpoint = this._loadCheckpoint(grRun);
+        var checkpoint = this._checkpoint;
+
+        var state = XLSXImporter.RUN_STATES.COMPLETE;
+        var message = "";
+        var result = null;
+        var error = null;
+        try {
+            result = this.import(attachment_sys_id);
+
+            if (result.code === XLSXImporter.STATES.CANCELLED) state = XLSXImporter.RUN_STATES.CANCELLED;
+            else if (result.code !== XLSXImporter.STATES.SUCCESS) state = XLSXImporter.RUN_STATES.FAILED;
+            message = result.message;
+        } catch (ex) {
+            state = XLSXImporter.RUN_STATES.FAILED;
+            message = ex.message;
+            error = ex;
+        }
+
+        this._job = null;
+        this._checkpoint = null;
+
+        // Read the run record again, as the import updated its progress
+        grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        grRun.get(runId);
+        grRun.setValue("u_state", state);
+        grRun.setValue("u_message", message);
+        if (!gs.nil(result)) {
+            // Row results are only available when the rows were read, the ones before the checkpoint were logged by the previous executions
+            var rows = result.code === XLSXImporter.STATES.SUCCESS || result.code === XLSXImporter.STATES.CANCELLED ? result.data : [];
+            var counters = this._getCounters(rows, gs.nil(checkpoint) ? null : checkpoint.counters);
+
+            grRun.setValue("u_processed", result.rows);
+            grRun.setValue("u_elapsed", result.elapsed);
+            grRun.setValue("u_counts", JSON.stringify(counters.codes));
+
+            // The row results are not kept, the ones not imported successfully are saved in the log table
+            var summary = {};
+            for (var key in result) summary[key] = result[key];
+            if (rows === result.data) summary.data = null;
+            grRun.setValue("u_result", JSON.stringify(summary));
+
+            this._logRows(runId, rows, gs.nil(checkpoint) ? 0 : checkpoint.row);
+        }
+        grRun.update();
+
+        if (!gs.nil(error)) throw error;
+        return result;
+    },
+
+    /**
+     * Save the rows not imported successfully in the log table, replacing the rows of the import already saved after the given one.
+     *
+     * Empty rows are not saved.
+     *
+     * @param {String} runId SysID of the run record
+     * @param {Array} results Results of the rows of the import
+     * @param {Number} [after] Index of the last row not to save, 0 or empty to save all the rows
+     */
+    _logRows: function(runId, results, after) {
+        var _after = after || 0;
+
+        // Rows logged before a failure or a cancellation are imported and logged again
+        var grLog = new GlideRecord(XLSXImporter.TABLES.LOG);
+        grLog.addQuery("u_run", runId);
+        if (_after > 0) grLog.addQuery("u_row", ">", _after);
+        grLog.deleteMultiple();
+
+        var isLogged = function(result) { return result.row > _after && this._isFailedRow(result); };
+        var failed = results.filter(isLogged, this);
+        for (var i = 0; i < failed.length; i++) {
+            var error = failed[i].error;
+
+            grLog = new GlideRecord(XLSXImporter.TABLES.LOG);
+            grLog.initialize();
+            grLog.setValue("u_run", runId);
+            grLog.setValue("u_row", failed[i].row);
+            grLog.setValue("u_code", failed[i].code);
+            grLog.setValue("u_message", failed[i].message);
+            grLog.setValue("u_target", failed[i].target || "");
+            grLog.setValue("u_stack", gs.nil(error) ? "" : String(error.stack || error));
+            grLog.setValue("u_errors", JSON.stringify(failed[i].errors || []));
+            grLog.setValue("u_values", JSON.stringify(failed[i].values || {}));
+            grLog.insert();
+        }
+
+        this._trace("Saved " + failed.length + " rows in the log of the import " + runId);
+    },
+
+    /**
+     * Check if a row was skipped or failed: empty rows and rows imported (even if merged or unchanged) are not failed.
+     *
+     * @param {RowResult} result Result of the row
+     * @return {Boolean} True if the row was not imported successfully
+     */
+    _isFailedRow: function(result) {
+        // Rows imported, even if merged or unchanged, and empty rows
+        var NOT_FAILED = [XLSXImporter.RCODES.SUCCESS, XLSXImporter.RCODES.INSERTED, XLSXImporter.RCODES.UPDATED, XLSXImporter.RCODES.UNCHANGED, XLSXImporter.RCODES.MERGED_DUPLICATE, XLSXImporter.RCODES.IMPORTED_DUPLICATE, XLSXImporter.RCODES.SKIPPED_EMPTY];
+        return NOT_FAILED.indexOf(result.code) == -1;
+    },
+
+    /**
+     * Count the rows of an import and the operations executed (or planned in VIRTUAL mode) on their records.
+     *
+     * @param {Array} results Results of the rows
+     * @param {object} [previous] Counters of the previous rows to add, like the ones of a checkpoint
+     * @return {object} Counters with the number of rows, of inserted, updated and unchanged records (including the related targets),
+     * of failed validations with WARNING severity, of rows not imported successfully and of rows for every `XLSXImporter.RCODES` code (by name)
+     */
+    _getCounters: function(results, previous) {
+        var obj = {};
+        obj.rows = results.length;
+        obj.inserted = 0;
+        obj.updated = 0;
+        obj.unchanged = 0;
+        obj.warnings = 0;
+        obj.failed = 0;
+        obj.codes = {};
+
+        var names = {};
+        for (var name in XLSXImporter.RCODES) names[XLSXImporter.RCODES[name]] = name;
+
+        // Count the operations and the failed validations with WARNING severity, including the ones of the related targets
+        var isWarning = function(warning) { return warning.severity === XLSXImporter.SEVERITIES.WARNING; };
+        var countRecords = function(result) {
+            if (result.operation === XLSXImporter.OPERATIONS.INSERT) obj.inserted++;
+            if (result.operation === XLSXImporter.OPERATIONS.UPDATE) obj.updated++;
+            if (result.operation === XLSXImporter.OPERATIONS.NONE) obj.unchanged++;
+            obj.warnings += (result.warnings || []).filter(isWarning).length;
+            for (var target in result.related || {}) countRecords(result.related[target]);
+        };
+
+        for (var i = 0; i < results.length; i++) {
+            if (gs.nil(results[i]) || typeof results[i] != "object") continue;
+
+            countRecords(results[i]);
+            if (this._isFailedRow(results[i])) obj.failed++;
+            if (names.hasOwnProperty(results[i].code)) obj.codes[names[results[i].code]] = (obj.codes[names[results[i].code]] || 0) + 1;
+        }
+
+        if (gs.nil(previous)) return obj;
+
+        // Add the counters of the previous rows
+        var KEYS = ["rows", "inserted", "updated", "unchanged", "warnings", "failed"];
+        for (var k = 0; k < KEYS.length; k++) obj[KEYS[k]] += previous[KEYS[k]] || 0;
+        for (var code in previous.codes || {}) obj.codes[code] = (obj.codes[code] || 0) + previous.codes[code];
+
+        return obj;
+    },
+
+    /**
+     * Add the counters of the rows before the resumed checkpoint to the result of the import, having the results of the following rows only.
+     *
+     * @param {ImportResult} value Result of the import
+     */
+    _addCheckpointCounters: function(value) {
+        if (gs.nil(this._checkpoint)) return;
+
+        var counters = this._checkpoint.counters;
+        value.rows += counters.rows || 0;
+        value.inserted += counters.inserted || 0;
+        value.updated += counters.updated || 0;
+        value.unchanged += counters.unchanged || 0;
+        value.warnings += counters.warnings || 0;
+    },
+
+    /**
+     * Read the last checkpoint of a run record.
+     *
+     * @param {GlideRecord} grRun Run record of the import
+     * @return {object} Checkpoint with the last imported row, the counters of the rows until it and the last journal sequence, null if the import has no checkpoint
+     */
+    _loadCheckpoint: function(grRun) {
+        if (gs.nil(grRun.getValue("u_row"))) return null;
+
+        var obj = {};
+        obj.row = parseInt(grRun.getValue("u_row"), 10);
+        obj.counters = JSON.parse(grRun.getValue("u_partial") || "{}");
+
+        // Continue the journal of the import after its last change
+        obj.sequence = 0;
+        if (!this._journaling) return obj;
+
+        var grJournal = new GlideRecord(XLSXImporter.TABLES.JOURNAL);
+        grJournal.addQuery("u_run", grRun.getUniqueValue());
+        grJournal.orderByDesc("u_sequence");
+        grJournal.setLimit(1);
+        grJournal.query();
+        if (grJournal.next()) obj.sequence = parseInt(grJournal.getValue("u_sequence"), 10);
+
+        return obj;
+    },
+
+    /**
+     * Check if the job of a running import was stopped without ending it (like when its transaction is killed), so its run record is no longer updated.
+     *
+     * @param {GlideRecord} grRun Run record of the import
+     * @param {Number} [timeout] Minutes without updates after which a running import is considered stopped, 30 if not provided
+     * @return {Boolean} True if the import is running but its run record was not updated for longer than the timeout
+     */
+    _isStale: function(grRun, timeout) {
+        var RUNNING = [XLSXImporter.RUN_STATES.RUNNING, XLSXImporter.RUN_STATES.CANCELLING];
+        if (RUNNING.indexOf(grRun.getValue("u_state")) == -1) return false;
+
+        var updated = new GlideDateTime(grRun.getValue("sys_updated_on"));
+        return new GlideDateTime().getNumericValue() - updated.getNumericValue() > (gs.nil(timeout) ? 30 : timeout) * 60000;
+    },
+
+    /**
+     * Save a checkpoint of the import in its run record, after the last imported row.
+     *
+     * Only the counters of the rows are kept in the run record, the rows not imported successfully are saved in the log table.
+     *
+     * @param {Number} row Index of the last imported row
+     * @param {Array} results Results of the rows imported since the import started or resumed
+     */
+    _saveCheckpoint: function(row, results) {
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(this._job)) return;
+
+        var counters = this._getCounters(results, gs.nil(this._checkpoint) ? null : this._checkpoint.counters);
+        grRun.setValue("u_row", row);
+        grRun.setValue("u_partial", JSON.stringify(counters));
+        grRun.setValue("u_processed", counters.rows);
+        grRun.update();
+
+        // Log the rows imported since the previous checkpoint
+        this._logRows(this._job, results, this._loggedRow);
+        this._loggedRow = row;
+
+        this._trace("Checkpoint saved after row " + row);
+    },
+
+    /**
+     * Save the progress of the import in its run record, nothing is saved when the import has no run record.
+     *
+     * @param {String} phase Current phase of the import, one of the `XLSXImporter.PHASES` values
+     * @param {Number} processed Number of rows already imported
+     * @param {Number} [total] Number of rows to import, if known
+     * @return {Boolean} False if the import was cancelled, true otherwise
+     */
+    _progress: function(phase, processed, total) {
+        if (gs.nil(this._job)) return true;
+
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(this._job)) return true;
+
+        if (grRun.getValue("u_state") == XLSXImporter.RUN_STATES.CANCELLING) return false;
+
+        grRun.setValue("u_phase", phase);
+        grRun.setValue("u_processed", processed);
+        if (!gs.nil(total)) grRun.setValue("u_total", total);
+        grRun.update();
+
+        this._trace("Progress of the import: " + phase + ", " + processed + " rows processed");
+        return true;
+    },
+
+    /**
+     * Check if the background import was cancelled, reading its run record at most once every cancel interval.
+     *
+     * @param {Boolean} [force] True to read the run record even if it was read less than a cancel interval ago
+     * @return {Boolean} True if the import was cancelled, false otherwise or when the import has no run record
+     */
+    _isCancelled: function(force) {
+        if (gs.nil(this._job)) return false;
+
+        var now = new Date().getTime();
+        if (!force && now - this._cancelCheck < this._cancelInterval) return false;
+        this._cancelCheck = now;
+
+        var grRun = new GlideRecord(XLSXImporter.TABLES.RUN);
+        if (!grRun.get(this._job)) return false;
+
+        return grRun.getValue("u_state") == XLSXImporter.RUN_STATES.CANCELLING;
+    },
+
+    /**
+     * Read the whole worksheet to find the rows having the same coalescing values and the coalescing values of every group.
+     *
+     * The rows are resolved as when importing them, so the coalescing values are compared as they will be saved in the records,
+     * using the first group having all the values. Rows skipped while resolving them and rows with empty values in every group are never duplicates.
+     *
+     * @param {String} attachment_sys_id SysID of the attachment to scan
+     * @return {object} Object with the duplicates (having as key the index of every duplicate row and as value the group of the rows with the same coalescing values)
+     * and the keys (having as key the coalescing groups' names and as value an object with the coalescing values in the file)
+     */
+    _scanFile: function(attachment_sys_id) {
+        var obj = {};
+        obj.duplicates = {};
+        obj.keys = {};
+        for (var g = 0; g < this._coalesceGroups.length; g++) obj.keys[this._coalesceGroups[g].name] = {};
+
+        var opened = this._openParser(attachment_sys_id);
+        if (!opened.success) return obj;
+        var parser = opened.parser;
+
+        // Group the row indexes by coalescing values
+        var groups = {};
+
+        // Resolve the rows without executing the callbacks and without saving the choices created by the rows
+        var virtual = this._virtual;
+        this._virtual = true;
+        this._scanning = true;
+
+        try {
+            this._readRows(parser, function(data, index) {
+                // The row will be skipped again while importing it, where the result is reported
+                var resolved = this._resolveRow(data, index);
+                if (!gs.nil(resolved.error)) this._trace("Unable to read the coalescing values of row " + index + ": " + resolved.error.message);
+                if (!gs.nil(resolved.result)) return;
+
+                // Collect the coalescing values of every group
+                for (var j = 0; j < this._coalesceGroups.length; j++) {
+                    var groupKey = this._getGroupKey(this._coalesceGroups[j], resolved.row);
+                    if (!gs.nil(groupKey)) obj.keys[this._coalesceGroups[j].name][groupKey] = true;
+                }
+
+                var key = this._getCoalescingKey(resolved.row);
+                if (gs.nil(key)) return;
+
+                if (gs.nil(groups[key])) groups[key] = [];
+                groups[key].push(index);
+            });
+        } finally {
+            parser.close();
+
+            // Restore the mode and forget the choices created while scanning the file
+            this._virtual = virtual;
+            this._scanning = false;
+            this._choiceCache = {};
+        }
+
+        // Keep only the rows sharing the coalescing values with other rows
+        var checkpoint = gs.nil(this._checkpoint) ? 0 : this._checkpoint.row;
+        for (var key in groups) {
+            if (groups[key].length < 2) continue;
+
+            var group = {};
+            group.rows = groups[key];
+            group.winner = null;
+            group.record = null;
+            group.failed = [];
+            group.deferred = [];
+
+            // The rows before the checkpoint were already imported, the one chosen by the policy is considered as the imported one
+            var planned = this._duplicatePolicy == XLSXImporter.DUPLICATE_POLICIES.LAST_WINS ? group.rows[group.rows.length - 1] : group.rows[0];
+            if (this._duplicatePolicy != XLSXImporter.DUPLICATE_POLICIES.REJECT && planned <= checkpoint) group.winner = planned;
+
+            for (var j = 0; j < group.rows.length; j++) obj.duplicates[group.rows[j]] = group;
+            this._trace("Found duplicate coalescing values in rows: " + group.rows.join(", "));
+        }
+
+        return obj;
+    },
+
+    /**
+     * Retire the records whose coalescing values are not in the file, executing the action of the SYNC mode.
+     *
+     * Nothing is retired when running in VIRTUAL mode, when the records to retire are more than the sync limit,
+     * when only a range of rows is imported or when some rows are not imported (unless allowed by the `syncOnFailures` method).
+     *
+     * @param {object} keys Coalescing values of the file, having as key the coalescing groups' names
+     * @param {Array} results Results of the rows of the file, the records imported by them are never retired
+     * @return {SyncResult} Result of the synchronization
+     */
+    _synchronize: function(keys, results) {
+        var obj = {};
+        obj.success = false;
+        obj.action = this._syncAction;
+        obj.records = [];
+        obj.retired = 0;
+
+        // Without coalescing fields no record can be found in the file
+        if (gs.nil(keys) || this._coalesceGroups.length === 0) {
+            obj.message = "Synchronization skipped because no coalescing field is defined";
+            return obj;
+        }
+
+        // The records of the rows outside the range would look missing from the file
+        if (this._firstRow !== null || this._lastRow !== null) {
+            obj.message = "Synchronization skipped because only the rows " + (this._firstRow || "start") + " - " + (this._lastRow || "end") + " were imported";
+            gs.warn(this.type + " | " + obj.message);
+            return obj;
+        }
+
+        // Rows not imported could match the records to retire, except the duplicates imported by another row
+        var counters = this._getCounters(results, gs.nil(this._checkpoint) ? null : this._checkpoint.counters);
+        var failed = counters.failed - (counters.codes.SKIPPED_DUPLICATE || 0);
+        if (failed > 0 && !this._syncOnFailures) {
+            obj.message = "Synchronization skipped because " + failed + " rows were not imported";
+            gs.warn(this.type + " | " + obj.message);
+            return obj;
+        }
+
+        // Query the records that can be retired
+        var grRecord = new GlideRecord(this.table);
+        if (!gs.nil(this._coalesceScope)) grRecord.addEncodedQuery(this._coalesceScope);
+        if (!gs.nil(this._syncScope)) grRecord.addEncodedQuery(this._syncScope);
+        grRecord.query();
+
+        // Get the records imported by the file
+        var imported = {};
+        for (var r = 0; r < results.length; r++) {
+            if (!gs.nil(results[r].operation) && !gs.nil(results[r].target)) imported[results[r].target] = true;
+        }
+
+        // Find the records matching none of the coalescing values of the file
+        while (grRecord.next()) {
+            if (imported[grRecord.getValue("sys_id")]) continue;
+
+            var values = {};
+            for (var i = 0; i < this._coalescing.length; i++) values[this._coalescing[i]] = grRecord.getValue(this._coalescing[i]);
+
+            var found = false;
+            for (var j = 0; j < this._coalesceGroups.length && !found; j++) {
+                var key = this._getGroupKey(this._coalesceGroups[j], values);
+                found = !gs.nil(key) && keys[this._coalesceGroups[j].name][key] === true;
+            }
+
+            if (!found) obj.records.push(grRecord.getValue("sys_id"));
+        }
+
+        // Retire nothing when too many records are missing from the file
+        if (obj.records.length > this._syncLimit) {
+            obj.message = "Synchronization skipped because " + obj.records.length + " records exceed the limit of " + this._syncLimit;
+            gs.warn(this.type + " | " + obj.message);
+            return obj;
+        }
+
+        obj.success = true;
+        if (this._virtual) {
+            obj.message = obj.records.length + " records would be retired";
+            return obj;
+        }
+
+        // Execute the action on every record, deleted and updated records are saved in the journal
+        for (var k = 0; k < obj.records.length; k++) {
+            if (this._syncAction == XLSXImporter.SYNC_ACTIONS.DELETE) {
+                var grDelete = new GlideRecord(this.table);
+                if (!grDelete.get(obj.records[k])) continue;
+
+                // Keep every value of the record, so it can be created again by a rollback
+                var previous = {};
+                var fields = this._fields();
+                for (var f = 0; f < fields.length; f++) previous[fields[f]] = grDelete.getValue(fields[f]);
+
+                this._journal(grDelete, XLSXImporter.OPERATIONS.DELETE, previous);
+                grDelete.deleteRecord();
+            } else this._createUpdateRecord(this._planRecord(this._syncValues, obj.records[k]));
+
+            obj.retired++;
+        }
+
+        obj.message = obj.retired + " records retired";
+        this._trace("Synchronization completed: " + obj.message);
+        return obj;
+    },
+
+    /**
+     * @typedef {object} ImportResult Result of the import operation
+     * @property {Boolean} success Result of the operation
+     * @property {String} code Specific result code of the operation
+     * @property {String} message Message related to the current operation
+     * @property {number} rows Number of processed rows
+     * @property {number} elapsed Time elapsed for the import process in milliseconds
+     * @property {String|number} sheet Worksheet imported, as name or index (null when using the default one)
+     * @property {String} run Identifier of the import, to use for finding its history and reverting its changes (null in VIRTUAL mode or without history, journal and batches)
+     * @property {number} inserted Number of inserted records (planned in VIRTUAL mode), including the related targets
+     * @property {number} updated Number of updated records (planned in VIRTUAL mode), including the related targets
+     * @property {number} unchanged Number of existing records left untouched because no value changed, including the related targets
+     * @property {number} warnings Number of failed validations with WARNING severity, including the related targets
+     * @property {SyncResult} [sync] Result of the synchronization (null if the SYNC mode is disabled)
+     * @property {object} [headers] Headers of the file (columns), field of every mapped header (mapping) and headers not mapped by any target (unmapped)
+     * @property {object} [data] Optional data object
+     */
+
+    /**
+     * @typedef {object} SyncResult Result of the synchronization of the records missing from the file
+     * @property {Boolean} success True if the records were retired (or would be retired in VIRTUAL mode)
+     * @property {String} action Action executed on the records, one of the `XLSXImporter.SYNC_ACTIONS` values
+     * @property {String} message Message related to the synchronization
+     * @property {Array} records SysIDs of the records missing from the file
+     * @property {number} retired Number of retired records
+     */
+
+    /**
+     * @typedef {object} RowResult Result of the row import
+     * @property {number} Index of the current row
+     * @property {String} code Response code for the result of the parsing of the current row
+     * @property {String} message Human readable message representing the result of the parsing of the current row
+     * @property {SysID|String} target SysID of the imported record (when created or updated) or field name when the result is created after a validation function
+     * @property {Error} Error object when an error occour
+     * @property {object[]} errors List of errors for the single fields, with the field name and the related message
+     * @property {String} operation One of the `XLSXImporter.OPERATIONS` values executed (or planned in VIRTUAL mode) on the record
+     * @property {object} changes Changed fields, having as key the field name and as value an object with the values before and after the import
+     * @property {object} values Original values of the row as read from the file, only for rows not imported successfully
+     */
+
+    /**
+     * Create a standard return message.
+     *
+     * @return {ImportResult} Result of the import operation
+     */
+    _createReturnValue: function(code, message, data, rows) {
+        var obj = {};
+        /**
+         * Success of the import process.
+         */
+        obj.success = code === XLSXImporter.STATES.SUCCESS;
+        /**
+         * Specific code result of the operation.
+         */
+        obj.code = code;
+        /**
+         * Generic message to return.
+         */
+        obj.message = message || "";
+        /**
+         * Number of processed rows.
+         */
+        obj.rows = rows || 0;
+        /**
+         * Time elapsed for the import process in milliseconds.
+         */
+        obj.elapsed = new Date() - this._start;
+        /**
+         * Worksheet imported, as name or index (null when using the default one).
+         */
+        obj.sheet = this._sheet;
+        /**
+         * Identifier of the import, to use for finding its history and reverting its changes (null in VIRTUAL mode or without history, journal and batches).
+         */
+        obj.run = this._runId || null;
+
+        // Count the operations executed (or planned in VIRTUAL mode) on the records, including the ones of the related targets
+        var counters = this._getCounters(Array.isArray(data) ? data : []);
+        /**
+         * Number of inserted records.
+         */
+        obj.inserted = counters.inserted;
+        /**
+         * Number of updated records.
+         */
+        obj.updated = counters.updated;
+        /**
+         * Number of existing records left untouched because no value changed.
+         */
+        obj.unchanged = counters.unchanged;
+        /**
+         * Number of failed validations with WARNING severity.
+         */
+        obj.warnings = counters.warnings;
+        /**
+         * Result of the synchronization of the records missing from the file, null if the SYNC mode is disabled.
+         */
+        obj.sync = null;
+        /**
+         * Headers of the file with the related fields, null if the headers were not read.
+         */
+        obj.headers = null;
+        /**
+         * Generic data object to return.
+         */
+        obj.data = data || null;
+
+        this._trace("Return value created: " + JSON.stringify(obj));
+
+        return obj;
+    },
+
+    /**
+     * Open the Excel file with a parser positioned on the selected worksheet.
+     *
+     * @param {SysID} attachment_sys_id SysID of the source Excel file in the attachment table
+     * @return {object} Object with the success of the operation and the parser or the error code and message
+     */
+    _openParser: function(attachment_sys_id) {
+        /**
+         * Container of the opening operation.
+         */
+        var result = {};
+        result.success = false;
+
+        // Instantiate the parser class on the attachment file
+        var parser = XLSXImporter.createParser(attachment_sys_id);
+        this._trace("File stream correctly initializated for attachment with SysID: " + attachment_sys_id);
+
+        // Select the requested worksheet, verifying that it exists in the workbook
+        if (this._sheet !== null) {
+            var sheets = this._getSheetNames(parser);
+            var sheet = typeof this._sheet == "number" ? sheets[this._sheet] : this._findSheet(sheets, this._sheet);
+
+            if (gs.nil(sheet)) {
+                parser.close();
+                result.code = XLSXImporter.STATES.SHEET_NOT_FOUND;
+                result.message = "No worksheet '" + this._sheet + "' found in the file";
+                result.sheets = sheets;
+                return result;
+            }
+
+            parser.setSheetName(sheet);
+            this._trace("Worksheet selected: " + sheet);
+        }
+
+        // Define the row used as header, the first one when the file has no header
+        parser.setHeaderRowNumber(this._headerless ? 0 : this._headerRow - 1);
+
+        // Parse the worksheet
+        if (!parser.parse()) {
+            result.code = XLSXImporter.STATES.PARSING_ERROR;
+            result.message = parser.getErrorMessage();
+            parser.close();
+            return result;
+        }
+        this._trace("GlideExcelParsed correctly initializated");
+
+        // Without a header the parser identifies the columns by the values of the first row, so they must be unique
+        var duplicated = this._headerless ? this._getDuplicatedColumns(this._readColumns(parser)) : [];
+        if (duplicated.length > 0) {
+            parser.close();
+            result.code = XLSXImporter.STATES.PARSING_ERROR;
+            result.message = "The columns " + duplicated.join(", ") + " cannot be read by position, as their cells in the first row have the same value of another column";
+            return result;
+        }
+
+        result.success = true;
+        result.parser = parser;
+        return result;
+    },
+
+    /**
+     * Get the names of the worksheets from a parser with a source defined.
+     *
+     * @return {String[]} Names of the worksheets
+     */
+    _getSheetNames: function(parser) {
+        var names = parser.getSheetNames();
+
+        // Convert the list into a JavaScript array of strings
+        var sheets = [];
+        for (var i = 0; i < names.length; i++) sheets.push(String(names[i]));
+
+        return sheets;
+    },
+
+    /**
+     * Find the name of a worksheet, ignoring case and surrounding spaces.
+     *
+     * @return {String|null} Name of the worksheet as written in the workbook or null if not found
+     */
+    _findSheet: function(sheets, name) {
+        var _name = this._normalize(name);
+
+        for (var i = 0; i < sheets.length; i++) {
+            if (this._normalize(sheets[i]) === _name) return sheets[i];
+        }
+
+        return null;
+    },
+
+    /**
+     * Check if the value is one of the validation severities.
+     *
+     * @param {String} severity Value to check
+     * @return {Boolean} True if the value is in `XLSXImporter.SEVERITIES`, false otherwise
+     */
+    _isSeverity: function(severity) {
+        for (var key in XLSXImporter.SEVERITIES) {
+            if (XLSXImporter.SEVERITIES[key] === severity) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Create the object describing a transformation or validation method.
+     *
+     * @param {object} repository Collection of methods of the `XLSXImporter_Methods_Repository` class
+     * @param {Function|String} f Method or name of the method in the repository
+     * @param {object} [params] Parameters bound to the method as its context
+     * @return {object} Object with the method to execute, its name in the repository (null if not in the repository) and its parameters
+     */
+    _createMethod: function(repository, f, params) {
+        var obj = {};
+        obj.name = null;
+        obj.params = gs.nil(params) ? null : params;
+
+        // Find the method in the repository by name or by reference
+        if (typeof f == "string") {
+            obj.name = f.trim().toUpperCase();
+            if (typeof repository[obj.name] != "function") throw new Error("Invalid parameter: no method with name '" + f + "' exists in the XLSXImporter_Methods_Repository class");
+        } else {
+            for (var name in repository) {
+                if (repository[name] === f) obj.name = name;
+            }
+        }
+
+        // Bind the parameters as context of the method
+        var method = gs.nil(obj.name) ? f : repository[obj.name];
+        obj.method = gs.nil(obj.params) ? method : method.bind(obj.params);
+
+        return obj;
+    },
+
+    /**
+     * Get the headers of the current worksheet as strings, in the same order of the columns.
+     */
+    _readColumns: function(parser) {
+        var headers = parser.getColumnHeaders();
+
+        // Convert the list into a JavaScript array of strings
+        var columns = [];
+        for (var i = 0; i < headers.length; i++) columns.push(String(headers[i]));
+
+        return columns;
+    },
+
+    /**
+     * Get the headers of the current file, or the column letters when running in POSITIONAL mode.
+     */
+    _getHeaders: function() {
+        if (!this._positional) return this._columns;
+
+        var headers = [];
+        for (var i = 0; i < this._columns.length; i++) headers.push(this._columnName(i));
+
+        return headers;
+    },
+
+    /**
+     * Get the values of the row read by the parser as header, used as first row of data by headerless imports.
+     */
+    _getHeaderRowValues: function() {
+        var obj = {};
+        for (var i = 0; i < this._columns.length; i++) obj[this._columns[i]] = this._columns[i];
+
+        return obj;
+    },
+
+    /**
+     * Get the letters of the columns having the same header of a previous column (empty cells included).
+     *
+     * The parser returns the cells of every row by header, so these columns cannot be read.
+     *
+     * @param {String[]} columns Headers of the worksheet, in the same order of the columns
+     * @return {String[]} Letters of the columns that cannot be read
+     */
+    _getDuplicatedColumns: function(columns) {
+        var duplicated = [];
+        for (var i = 0; i < columns.length; i++) {
+            if (columns.indexOf(columns[i]) < i) duplicated.push(this._columnName(i));
+        }
+
+        return duplicated;
+    },
+
+    /**
+     * Convert a row having as keys the headers into a row having as keys the column letters, reading every cell by the position of its column.
+     */
+    _getPositionalRow: function(row) {
+        var obj = {};
+        for (var i = 0; i < this._columns.length; i++) obj[this._columnName(i)] = row[this._columns[i]];
+
+        return obj;
+    },
+
+    /**
+     * Get the letter of a column (e.g. 0 -> A, 27 -> AB) from its zero-based index.
+     */
+    _columnName: function(index) {
+        var name = "";
+
+        // Convert the index in a base-26 number using the letters as digits
+        for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+
+        return name;
+    },
+
+    /**
+     * Verify if the value is a positive integer, like a column index or a row number.
+     */
+    _isPositiveInteger: function(value) {
+        return typeof value == "number" && value > 0 && value % 1 === 0;
+    },
+
+    /**
+     * Verify if the row number is in the range of rows to import.
+     */
+    _isRowInRange: function(index) {
+        if (this._firstRow !== null && index < this._firstRow) return false;
+        if (this._lastRow !== null && index > this._lastRow) return false;
+
+        return true;
+    },
+
+    /**
+     * Get all the non system fields for the current import target table.
+     *
+     * @return {String[]} List of non-system field names for the instance table
+     */
+    _fields: function() {
+        // Create an empty record (without insertion) for the current target table
+        var record = new GlideRecord(this.table);
+        record.initialize();
+
+        // Extract all the fields for the record
+        var fields = Object.keys(record);
+
+        // Ignore system fields
+        function isNotSystemField(field) { return !field.startsWith("sys_"); }
+        fields = fields.filter(isNotSystemField);
+
+        return fields;
+    },
+
+    /**
+     * Normalize and clean the string.
+     */
+    _normalize: function(value) {
+        // Remove beginning and trailing spaces
+        var _value = value.trim();
+
+        // Make the string lowercase
+        _value = _value.toLowerCase();
+
+        // Remove special chars
+        _value = _value.replace(/[\t\n\r]/gm, "");
+
+        // Remove multiple whitespaces
+        _value = _value.replace(/\s+/gm, " ");
+
+        return _value;
+    },
+
+    /**
+     * Normalize the keys of the row object, making them lowercase and without starting and trailing spaces.
+     */
+    _normalizeRowHeaders: function(row) {
+        var obj = {};
+
+        // Extract the keys from the row
+        var keys = Object.keys(row);
+
+        // For every row, normalize the key
+        for (var i = 0; i < keys.length; i++) {
+            // Extract the key from the object
+            var key = keys[i];
+
+            // Normalize the key
+            var nkey = this._normalize(key);
+
+            obj[nkey] = row[key];
+        }
+
+        return obj;
+    },
+
+    /**
+     * Create a result object for a signle row parsed.
+     *
+     * The warnings are the ones of the current row, unless provided for a row parsed before it.
+     *
+     * @return {RowResult} Import result of the current row
+     */
+    _createRowResult: function(index, code, info, target, error, errors, warnings) {
+        /**
+         * This object represents the result of the single row and contains
+         * all the information of the import for the current row.
+         */
+        var obj = {};
+        /**
+         * Index of the current row.
+         */
+        obj.row = index;
+        /**
+         * Response code for the result of the parsing of the current row.
+         */
+        obj.code = code;
+
+        var isValidationFailed = XLSXImporter.RCODES.SKIPPED_VALIDATION === code;
+        /**
+         * Human readable message representing the result of the parsing of the current row.
+         * 
+         * If the validation of the row failed, this value will contains the message linked to the validation function.
+         */
+        obj.message = isValidationFailed ? info : this.MESSAGES[code];
+
+        // Add additional information for the allowed response code
+        var codeNeedAdditionalInfo = [XLSXImporter.RCODES.SKIPPED_EVENT, XLSXImporter.RCODES.REFERENCE_NOT_FOUND, XLSXImporter.RCODES.AMBIGUOUS_REFERENCE, XLSXImporter.RCODES.INVALID_CHOICE, XLSXImporter.RCODES.INVALID_TYPE, XLSXImporter.RCODES.SKIPPED_DUPLICATE, XLSXImporter.RCODES.MERGED_DUPLICATE, XLSXImporter.RCODES.AMBIGUOUS_COALESCE, XLSXImporter.RCODES.EMPTY_KEY, XLSXImporter.RCODES.IMPORTED_DUPLICATE].indexOf(code) != -1;
+        if (codeNeedAdditionalInfo && !gs.nil(info)) obj.message += info;
+
+        /**
+         * SysID of the imported record (when created or updated) or field
+         * name when the result is created after a validation function.
+         */
+        obj.target = target || null;
+
+        /**
+         * Error object when an error occour.
+         */
+        obj.error = error || null;
+
+        /**
+         * List of errors for the single fields, with the field name and the related message.
+         */
+        obj.errors = errors || [];
+
+        /**
+         * List of failed validations without ERROR severity, with the field name, the related message and the severity.
+         */
+        obj.warnings = (warnings || this._rowWarnings).slice();
+
+        /**
+         * Operation executed (or planned in VIRTUAL mode) on the record, null if the row was not imported.
+         */
+        obj.operation = null;
+
+        /**
+         * Changed fields, having as key the field name and as value an object with the values before and after the import.
+         */
+        obj.changes = {};
+
+        /**
+         * Results of the related targets, having as key their names.
+         */
+        obj.related = {};
+
+        /**
+         * Original values of the row as read from the file, having as key the headers (only for rows not imported successfully).
+         */
+        obj.values = null;
+        return obj;
+    },
+
+    /**
+     * Create a default mapping where we suppose that the Excel's cells have the same value as the fields' labels.
+     */
+    _mapLabelWithName: function() {
+        // Create an empty record (without insertion) for the current target table
+        var record = new GlideRecord(this.table);
+        record.initialize();
+
+        // Get all non system fields
+        var fields = this._fields();
+
+        for (var i = 0; i < fields.length; i++) {
+            // Extract the field name
+            var field = fields[i];
+
+            // Get the representation of the field
+            var element = record.getElement(field);
+
+            // Add the default mapping for this field
+            this.map(element.getLabel(), element.getName());
+        }
+
+        // Headers can also be the fields' names, when not used as labels
+        for (var j = 0; j < fields.length; j++) {
+            if (gs.nil(this._mappings[fields[j]])) this.map(fields[j], fields[j]);
+        }
+
+        // Keep a copy of the default mappings, that are not custom ones
+        for (var header in this._mappings) this._defaultMappings[header] = this._mappings[header];
+        this._customMappings = {};
+        this._trace("Default mapping executed for " + fields.length + " fields for record in table: " + this.table);
+    },
+
+    /**
+     * Get the columns expected in the file, in the order of the fields of the target table, with the required headers not mapped to any field at the end.
+     *
+     * @return {Array} List of columns, with the header, the field, the type, the requirement and the description of the allowed values
+     */
+    _getTemplateColumns: function() {
+        // Create an empty record (without insertion) for the current target table
+        var record = new GlideRecord(this.table);
+        record.initialize();
+
+        // Fields expected in the file
+        var expected = {};
+        for (var header in this._mappings) {
+            if (this._defaultMappings[header] !== this._mappings[header]) expected[this._mappings[header]] = true;
+        }
+        for (var i = 0; i < this._required.length; i++) {
+            if (!gs.nil(this._mappings[this._required[i]])) expected[this._mappings[this._required[i]]] = true;
+        }
+        this._coalescing.forEach(function(field) { expected[field] = true; });
+        for (var tField in this._transforms) expected[tField] = true;
+        for (var vField in this._validations) expected[vField] = true;
+
+        // Computed fields are not read from the file
+        var computed = this._computes.map(function(method) { return method.field; });
+
+        var fields = this._fields();
+        var hasExpected = Object.keys(expected).length > 0;
+        var columns = [];
+        var headers = [];
+
+        for (var j = 0; j < fields.length; j++) {
+            var field = fields[j];
+            if ((hasExpected && !expected[field]) || computed.indexOf(field) != -1) continue;
+
+            // Find the required headers mapped to the field
+            var required = [];
+            for (var r = 0; r < this._required.length; r++) {
+                if (this._mappings[this._required[r]] === field) required.push(this._required[r]);
+            }
+
+            // Use the required header, then the label (unless mapped to another field), then any other header of the field
+            var label = String(record.getElement(field).getLabel());
+            var _header = required.length > 0 && required.indexOf(this._normalize(label)) == -1 ? required[0] : null;
+            if (gs.nil(_header) && this._mappings[this._normalize(label)] === field) _header = label;
+            for (var mapped in this._mappings) {
+                if (gs.nil(_header) && this._mappings[mapped] === field) _header = mapped;
+            }
+            if (gs.nil(_header) || this._ignored.indexOf(this._normalize(_header)) != -1) continue;
+
+            var descriptor = this._describe(field);
+
+            var column = {};
+            column.header = _header;
+            column.field = field;
+            column.type = descriptor.type;
+            column.required = required.length > 0;
+            column.values = this._describeValues(descriptor);
+            columns.push(column);
+            headers = headers.concat(required);
+        }
+
+        // Required headers without a field (like the ones of the related targets)
+        for (var k = 0; k < this._required.length; k++) {
+            if (headers.indexOf(this._required[k]) != -1) continue;
+
+            var other = {};
+            other.header = this._required[k];
+            other.field = "";
+            other.type = "";
+            other.required = true;
+            other.values = "";
+            columns.push(other);
+        }
+
+        return columns;
+    },
+
+    /**
+     * Describe the values allowed in a column: the choices of a choice field or the records of a reference field.
+     *
+     * @param {object} descriptor Dictionary information of the field, as returned by `_describe`
+     * @return {String} Description of the allowed values, empty if any value is allowed
+     */
+    _describeValues: function(descriptor) {
+        if (!gs.nil(descriptor.reference)) {
+            var lookup = this._lookups[descriptor.name];
+            return "Record of " + descriptor.reference + " by " + (gs.nil(lookup) ? "display value" : lookup);
+        }
+
+        if (descriptor.type == "boolean") return "true, false";
+
+        if (descriptor.choice) {
+            // The same label could be used by more dependent choices
+            var labels = [];
+            var choices = this._loadChoices(descriptor.name).choices;
+            for (var i = 0; i < choices.length; i++) {
+                if (labels.indexOf(choices[i].label) == -1) labels.push(choices[i].label);
+            }
+            return labels.join(", ");
+        }
+
+        return "";
+    },
+
+    /**
+     * Read a single row of the Excel file and resolve its values as they will be saved in the record.
+     *
+     * The row is mapped, computed, validated, transformed and converted, and its references and choices are resolved.
+     *
+     * @param {object} data Row read from the parser, having as keys the headers and as values the cells
+     * @param {number} index Number of the row in the Excel file
+     * @return {object} Object with the resolved row, the result of the row when it is skipped and the unexpected error (if any)
+     */
+    _resolveRow: function(data, index) {
+        var obj = {};
+        obj.row = null;
+        obj.result = null;
+        obj.error = null;
+
+        // Stop resolving the row with the given result
+        var skip = function(result) {
+            obj.result = result;
+            return obj;
+        };
+
+        var row = null;
+        try {
             /**
              * This flag will be used to skip or not the current row.
              * 
@@ -594,300 +3824,1384 @@ XLSXImporter.prototype = {
              */
             var valid = true;
 
-            // Extract the current row object
-            var row = this._normalizeRowHeaders(parser.getRow());
+            // Clear the warnings of the previous row
+            this._rowWarnings = [];
+
+            // Extract the current row object, identifing the columns by letter when running in POSITIONAL mode
+            row = this._normalizeRowHeaders(this._positional ? this._getPositionalRow(data) : data);
+
+            // Skip the current row if all the cells are empty
+            if (this._isEmptyRow(row)) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EMPTY));
+
+            // Execute this callback when the row is read from file
+            valid = this._triggerEvent("onRowRead", row, index);
+            if (!gs.nil(valid) && !valid) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowRead"));
+
+            // Ignore fields by removing them from the row object
+            row = this._ignoreRowHeaders(row);
+
+            // Map the headers to the table fields
+            row = this._mapHeadersToFields(row);
+
+            // Add the values inherited from the primary record when imported as related target, skipping the row if all its mapped cells are empty
+            if (!gs.nil(this._parentValues)) {
+                if (this._isEmptyRow(row)) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EMPTY));
+                for (var inherited in this._parentValues) row[inherited] = this._parentValues[inherited];
+            }
+
+            // Compute the derived fields and add the default values
+            row = this._computeRowValues(row);
+
+            // Ignore the validation steps if the import is run in SLOPPY mode
+            if (!this._sloppy) {
+                // Execute this callback before validating the row
+                valid = this._triggerEvent("onRowValidating", row, index);
+                if (!gs.nil(valid) && !valid) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowValidating"));
+
+                // Validate the row using the functions provided, if an error is found the related message is returned
+                var failures = this._validateRowValues(row);
+                if (failures.length > 0) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_VALIDATION, failures[0].message, failures[0].field, null, failures));
+
+                // Execute this callback after validating the row
+                valid = this._triggerEvent("onRowValidated", row, index);
+                if (!gs.nil(valid) && !valid) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowValidated"));
+            }
+
+            // Apply transformations on the values of the row
+            row = this._transformRowValues(row);
+
+            // Convert the values to the internal type of the fields
+            if (this._coerce) {
+                var errors = this._coerceRowValues(row);
+                if (errors.length > 0) return skip(this._createRowResult(index, XLSXImporter.RCODES.INVALID_TYPE, errors[0].field, errors[0].field, null, errors));
+            }
+
+            // Replace the values of the reference fields with the SysIDs of the referenced records
+            if (this._references) {
+                var resolution = this._resolveReferences(row);
+                if (!gs.nil(resolution)) return skip(this._createRowResult(index, resolution.code, resolution.field, resolution.field));
+            }
+
+            // Replace the labels of the choice fields with the stored values
+            if (this._choices) {
+                var translation = this._translateChoices(row);
+                if (!gs.nil(translation)) return skip(this._createRowResult(index, XLSXImporter.RCODES.INVALID_CHOICE, translation.field, translation.field));
+            }
+
+            // Execute this callback after transforming the row
+            valid = this._triggerEvent("onRowTransformed", row, index);
+            if (!gs.nil(valid) && !valid) return skip(this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowTransformed"));
+        } catch (ex) {
+            obj.row = row;
+            obj.error = ex;
+            return skip(this._createRowResult(index, XLSXImporter.RCODES.ERROR, null, null, ex));
+        }
+
+        obj.row = row;
+        return obj;
+    },
+
+    /**
+     * Parse a single row of the Excel file.
+     *
+     * @param {object} data Row read from the parser, having as keys the headers and as values the cells
+     * @param {number} index Number of the row in the Excel file
+     */
+    _parseRow: function(data, index) {
+        var row = null;
+        try {
+            // Read the row and resolve its values, the unexpected errors are notified below
+            var resolved = this._resolveRow(data, index);
+            row = resolved.row;
+            if (!gs.nil(resolved.error)) throw resolved.error;
+            if (!gs.nil(resolved.result)) return resolved.result;
+
+            // Apply the duplicate policy when other rows of the file have the same coalescing values
+            var group = this._duplicates[index];
+            var mergedWith = null;
+            if (!gs.nil(group)) {
+                var isOther = function(i) { return i !== index; };
+                var isCandidate = function(i) { return group.failed.indexOf(i) == -1; };
+                var last = group.rows.filter(isCandidate).pop();
+
+                switch (this._duplicatePolicy) {
+                    case XLSXImporter.DUPLICATE_POLICIES.FIRST_WINS:
+                        // A row is skipped only when a previous one was imported, so a failing first row let the next one be imported
+                        if (!gs.nil(group.winner)) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_DUPLICATE, String(group.winner));
+                        break;
+                    case XLSXImporter.DUPLICATE_POLICIES.LAST_WINS:
+                        // Keep the previous rows aside, so they can be imported when the last one fails
+                        if (index !== last) {
+                            var deferred = {};
+                            deferred.data = data;
+                            deferred.index = index;
+                            deferred.warnings = this._rowWarnings.slice();
+                            deferred.result = this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_DUPLICATE, String(last));
+                            group.deferred.push(deferred);
+                            return deferred.result;
+                        }
+                        break;
+                    case XLSXImporter.DUPLICATE_POLICIES.REJECT:
+                        return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_DUPLICATE, group.rows.filter(isOther).join(", "));
+                    case XLSXImporter.DUPLICATE_POLICIES.MERGE:
+                        // Empty cells of the following rows do not clear the values of the previous ones
+                        if (!gs.nil(group.winner)) {
+                            for (var field in row) {
+                                if (gs.nil(row[field])) delete row[field];
+                            }
+                            mergedWith = group.winner;
+                        }
+                        break;
+                }
+            }
+
+            // Find the existing record matching the coalescing values of the row
+            var match = this._getCoalescenceRecord(row);
+            if (!match.success) return this._createRowResult(index, match.code, match.info, match.field);
+
+            // In VIRTUAL mode the merged rows are planned on the record planned for the previous ones, as it is not saved
+            var plan = this._planRecord(row, match.sys_id, this._virtual && !gs.nil(mergedWith) ? group.record : null);
+
+            // Do not save anything on the database if the import is run in VIRTUAL mode
+            if (!this._virtual) {
+                // Create the record with the elaborated values
+                var sys_id = this._createUpdateRecord(plan);
+
+                // Elaborate the record after the insertion/update
+                var valid = this._triggerEvent("onRowImported", row, index, sys_id);
+                if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowImported");
+            }
+
+            // Return the successful log with the planned changes (the record SysID will be null if a record would be created in VIRTUAL mode)
+            var code = this._getOperationCode(plan.operation);
+            var info = null;
+            if (!gs.nil(mergedWith)) {
+                code = XLSXImporter.RCODES.MERGED_DUPLICATE;
+                info = String(mergedWith);
+            } else if (!gs.nil(group)) {
+                // The first row imported is the one kept for the rows with the same coalescing values
+                group.winner = index;
+                group.record = plan.record;
+                code = XLSXImporter.RCODES.IMPORTED_DUPLICATE;
+                info = group.rows.filter(isOther).join(", ");
+            }
+            var obj = this._createRowResult(index, code, info, this._virtual ? plan.sys_id : sys_id);
+            obj.operation = plan.operation;
+            obj.changes = plan.changes;
+
+            // Import the records of the related targets, referencing the record of this importer
+            obj.related = this._importRelated(data, index, obj.target);
+            return obj;
+        } catch (ex) {
+            // Notify the error with the row being parsed
+            var error = {};
+            if (!gs.nil(row)) error.row = row;
+            error.index = index;
+            error.error = ex;
+            this._emitEvent("onRowError", error);
+
+            // An unexpected error occourred, return also the error object
+            return this._createRowResult(index, XLSXImporter.RCODES.ERROR, null, null, ex);
+        }
+    },
+
+    /**
+     * Verify if the row object has all values set to null.
+     */
+    _isEmptyRow: function(row) {
+        function hasValue(key) {
+            return !gs.nil(this.obj[key]);
+        }
+        var context = {};
+        context.obj = row;
+
+        var keys = Object.keys(row);
+        return keys.filter(hasValue, context).length === 0;
+    },
+
+    /**
+     * Convert every row header in the appropriate field name using
+     * the label for the table or the custom mapping defined.
+     */
+    _mapHeadersToFields: function(row) {
+        // Extract all the headers from the row
+        var headers = Object.keys(row);
+
+        /**
+         * Object containing all the mapped values from the row object.
+         *
+         * The key is the mapped field name and the value the same cell value.
+         */
+        var data = {};
+
+        // Iterate over every header of the row
+        for (var i = 0; i < headers.length; i++) {
+            // Extract the header
+            var header = headers[i];
 
-            // Skip the current row if all the cells are empty
-            if (this._isEmptyRow(row)) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EMPTY);
+            // Map the field
+            var field = this._getHeaderField(header);
 
-            // Execute this callback when the row is read from file
-            valid = this._triggerEvent("onRowRead", row, index);
-            if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowRead");
+            // No target field found, exclude this element from import
+            if (!field) continue;
 
-            // Ignore fields by removing them from the row object
-            row = this._ignoreRowHeaders(row);
+            // Save in the transformed 
+            data[field] = row[header];
+        }
 
-            // Map the headers to the table fields
-            row = this._mapHeadersToFields(row);
+        return data;
+    },
 
-            // Ignore the validation steps if the import is run in SLOPPY mode
-            if (!this._sloppy) {
-                // Execute this callback before validating the row
-                valid = this._triggerEvent("onRowValidating", row, index);
-                if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowValidating");
+    /**
+     * Find the field of every header of the file, for this importer and its related targets.
+     *
+     * @param {Array} headers Headers of the file
+     * @return {object} Object with the headers (columns), the field of every header mapped by this importer (mapping)
+     * and the headers not ignored and not mapped by this importer or its related targets (unmapped)
+     */
+    _resolveHeaders: function(headers) {
+        var obj = {};
+        obj.columns = headers.slice();
+        obj.mapping = {};
+        obj.unmapped = [];
 
-                // Validate the row using the functions provided, if an error is found the related message is returned
-                var result = this._validateRowValues(row);
-                if (!gs.nil(result)) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_VALIDATION, result.message, result.field);
+        // Resolve the headers again, as the mappings could be changed after the previous import
+        this._headerFields = {};
+        for (var related in this._related) this._related[related].importer._headerFields = {};
 
-                // Execute this callback after validating the row
-                valid = this._triggerEvent("onRowValidated", row, index);
-                if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowValidated");
+        for (var i = 0; i < headers.length; i++) {
+            var header = headers[i];
+            if (this._ignored.indexOf(this._normalize(header)) != -1) continue;
+
+            var field = this._getHeaderField(header);
+            if (!gs.nil(field)) obj.mapping[header] = field;
+
+            // The header could be imported by a related target
+            var mapped = !gs.nil(field);
+            for (var name in this._related) {
+                if (!gs.nil(this._related[name].importer._getHeaderField(header))) mapped = true;
             }
 
-            // Apply transformations on the values of the row
-            row = this._transformRowValues(row);
+            if (!mapped) obj.unmapped.push(header);
+        }
 
-            // Execute this callback after transforming the row
-            valid = this._triggerEvent("onRowTransformed", row, index);
-            if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowTransformed");
+        this._trace("Headers resolved: " + JSON.stringify(obj.mapping));
+        return obj;
+    },
 
-            // Do not save anything on the database if the import is run in VIRTUAL mode
-            if (!this._virtual) {
-                // Create the record with the elaborated values
-                var sys_id = this._createUpdateRecord(row);
+    /**
+     * Get the field mapped to a header, searching it only the first time.
+     *
+     * @param {String} header Header of the file
+     * @return {String} Name of the field, null if no field is mapped to the header
+     */
+    _getHeaderField: function(header) {
+        var _header = this._normalize(header);
+        if (this._headerFields.hasOwnProperty(_header)) return this._headerFields[_header];
+
+        // Search the exact mapping, then the fuzzy one (only the custom mappings when the label mappings are disabled)
+        var isUsed = function(mapped) { return this._labelMappings || this._customMappings[mapped] === true; };
+        var field = isUsed.call(this, _header) ? this._mappings[_header] || null : null;
+        if (gs.nil(field) && this._fuzzy) {
+            var key = this._fuzzyKey(_header);
+            for (var mapped in this._mappings) {
+                if (!isUsed.call(this, mapped) || this._fuzzyKey(mapped) !== key) continue;
+
+                field = this._mappings[mapped];
+                this._trace("Header '" + header + "' matched by fuzzy matching to '" + mapped + "'");
+                break;
+            }
+        }
 
-                // Elaborate the record after the insertion/update
-                valid = this._triggerEvent("onRowImported", row, index, sys_id);
-                if (!gs.nil(valid) && !valid) return this._createRowResult(index, XLSXImporter.RCODES.SKIPPED_EVENT, "onRowImported");
+        if (gs.nil(field)) this._trace("Skipping header: '" + header + "', no field with this name found in the table '" + this.table + "'");
+
+        this._headerFields[_header] = field;
+        return field;
+    },
+
+    /**
+     * Get the key used to compare headers by fuzzy matching, ignoring case, punctuation, accents and plurals.
+     */
+    _fuzzyKey: function(value) {
+        var _value = String(value).toLowerCase();
+
+        // Remove the accents
+        _value = _value.replace(/[\u00e0-\u00e5]/g, "a").replace(/[\u00e8-\u00eb]/g, "e").replace(/[\u00ec-\u00ef]/g, "i");
+        _value = _value.replace(/[\u00f2-\u00f6]/g, "o").replace(/[\u00f9-\u00fc]/g, "u").replace(/\u00e7/g, "c").replace(/\u00f1/g, "n").replace(/[\u00fd\u00ff]/g, "y");
+
+        // Split the words ignoring punctuation
+        var words = _value.replace(/[^a-z0-9]+/g, " ").trim().split(" ");
+
+        // Remove the plurals
+        function singular(word) {
+            if (word.length > 4 && /ies$/.test(word)) return word.slice(0, -3) + "y";
+            if (word.length > 3 && /[^s]s$/.test(word)) return word.slice(0, -1);
+            return word;
+        }
+
+        return words.map(singular).join("");
+    },
+
+    /**
+     * Transform every row value using the transformation methods defined.
+     * 
+     * Executed after mapping and validation.
+     */
+    _transformRowValues: function(row) {
+        // Extract all the fields from the row
+        var fields = Object.keys(row);
+
+        /**
+         * Object containing all the trasformed values to insert in the record.
+         *
+         * The key is the field name and the value the trasformed Excel cell value.
+         */
+        var data = {};
+
+        // Iterate over every field of the row
+        for (var i = 0; i < fields.length; i++) {
+            // Extract the mapped field name
+            var field = fields[i];
+
+            // Extract the Excel cell value
+            var value = row[field];
+
+            // Execute transformations for this field (if any)
+            var transformations = this._transforms[field];
+            if (!gs.nil(transformations)) {
+                var execute = function(transform) {
+                    this.value = transform.method(this.value);
+                };
+                var context = {};
+                context.value = value;
+                transformations.forEach(execute, context);
+                value = context.value;
             }
 
-            // Return the successful log (the record SysID will be null if run in VIRTUAL mode)
-            return this._createRowResult(index, XLSXImporter.RCODES.SUCCESS, null, this._virtual ? null : sys_id);
-        } catch (ex) {
-            // An unexpected error occourred, return also the error object
-            return this._createRowResult(index, XLSXImporter.RCODES.ERROR, null, null, ex);
+            // Assign the trasformed value from the Excel to the object
+            // that will be used to create the new record
+            data[field] = value;
+        }
+
+        return data;
+    },
+
+    /**
+     * Compute the derived fields from the row, then add the default values of the fields absent or empty in the row.
+     * 
+     * Executed after field mapping.
+     */
+    _computeRowValues: function(row) {
+        // Execute the compute methods in order, so a computed field can be used by the following ones
+        for (var i = 0; i < this._computes.length; i++) row[this._computes[i].field] = this._computes[i].method(row);
+
+        for (var field in this._defaults) {
+            // Only absent or empty fields use the default value
+            if (!gs.nil(row[field])) continue;
+
+            var _default = this._defaults[field];
+            row[field] = gs.nil(_default.method) ? _default.value : _default.method(row);
+        }
+
+        return row;
+    },
+
+    /**
+     * Validate every row value using the validation methods defined, then the whole row using the row validation methods.
+     * 
+     * Executed after field mapping.
+     * 
+     * Return an array of errors with the field name (null for row validation methods) and the message, empty if the row is valid.
+     * Only the first error is returned, unless the COLLECT mode is enabled.
+     * 
+     * Failing methods without ERROR severity never stop the validation and are added to the warnings of the row.
+     */
+    _validateRowValues: function(row) {
+        var errors = [];
+
+        // Add the failure to the errors or to the warnings, return true if the validation must stop
+        var fail = function(field, validation) {
+            var obj = {};
+            obj.field = field;
+            obj.message = validation.message;
+
+            if (validation.severity !== XLSXImporter.SEVERITIES.ERROR) {
+                obj.severity = validation.severity;
+                this._rowWarnings.push(obj);
+                return false;
+            }
+
+            errors.push(obj);
+            return !this._collect;
+        }.bind(this);
+
+        // Extract all the fields from the row
+        var fields = Object.keys(row);
+
+        // Iterate over every field of the row
+        for (var i = 0; i < fields.length; i++) {
+            // Extract the field
+            var field = fields[i];
+
+            // Extract validation objects (if any)
+            var farray = this._validations[field];
+
+            // No validation method for this field, skip iteration
+            if (gs.nil(farray)) continue;
+
+            // Execute the validation method
+            for (var j = 0; j < farray.length; j++) {
+                // Extract the validation method
+                var f = farray[j].method;
+
+                // Execute the method
+                var valid = f(row, field);
+
+                // The validation method failed, skip this row
+                if (!valid && fail(field, farray[j])) return errors;
+            }
+        }
+
+        // Execute the row validation methods
+        for (var k = 0; k < this._rowValidations.length; k++) {
+            if (!this._rowValidations[k].method(row) && fail(null, this._rowValidations[k])) return errors;
+        }
+
+        return errors;
+    },
+
+    /**
+     * Get the dictionary information of a field of the target table.
+     *
+     * @param {String} field Name of the field
+     * @return {object} Object with the name, label, internal type and referenced table (if any) of the field
+     */
+    _describe: function(field) {
+        // Return the cached description (if any)
+        if (this._descriptors[field]) return this._descriptors[field];
+
+        // Create an empty record (without insertion) for the current target table
+        var record = new GlideRecord(this.table);
+        record.initialize();
+
+        // Get the representation of the field and its dictionary entry
+        var element = record.getElement(field);
+        var ed = element.getED();
+
+        var descriptor = {};
+        descriptor.name = field;
+        descriptor.label = String(ed.getLabel());
+        descriptor.type = String(ed.getInternalType());
+        descriptor.reference = descriptor.type == "reference" ? String(element.getReferenceTable()) : null;
+        descriptor.choice = !descriptor.reference && ed.isChoiceTable();
+        descriptor.dependent = descriptor.choice ? this._getDependentField(field) : null;
+
+        this._descriptors[field] = descriptor;
+        return descriptor;
+    },
+
+    /**
+     * Replace the values of the reference fields with the SysIDs of the referenced records.
+     *
+     * Executed after transformation.
+     *
+     * Return an object with the result code and the field name when a reference cannot be resolved, null otherwise.
+     */
+    _resolveReferences: function(row) {
+        // Extract all the fields from the row
+        var fields = Object.keys(row);
+
+        for (var i = 0; i < fields.length; i++) {
+            // Extract the field
+            var field = fields[i];
+
+            // Only non empty reference fields must be resolved
+            var descriptor = this._describe(field);
+            if (descriptor.type != "reference" || gs.nil(row[field])) continue;
+
+            // Look up the referenced records
+            var lookup = this._lookups[field] || null;
+            var matches = this._lookupReference(descriptor.reference, lookup, String(row[field]).trim());
+
+            // The reference must match exactly one record
+            if (matches.length !== 1) {
+                var obj = {};
+                obj.code = matches.length === 0 ? XLSXImporter.RCODES.REFERENCE_NOT_FOUND : XLSXImporter.RCODES.AMBIGUOUS_REFERENCE;
+                obj.field = field;
+                return obj;
+            }
+
+            row[field] = matches[0];
+        }
+
+        return null;
+    },
+
+    /**
+     * Look up the records of a table matching a value, caching the result for the whole import.
+     *
+     * Values that are already the SysID of an existing record are kept as they are.
+     *
+     * @param {String} table Name of the referenced table
+     * @param {String} lookup Name of the field to match, null to use the display field of the table
+     * @param {String} value Value to look for
+     * @return {SysID[]} SysIDs of the matching records (at most two, enough to detect ambiguous values)
+     */
+    _lookupReference: function(table, lookup, value) {
+        // Return the cached result (if any)
+        var key = table + "|" + (lookup || "") + "|" + value;
+        if (this._referenceCache.hasOwnProperty(key)) return this._referenceCache[key];
+
+        var matches = [];
+        var grReferenced = new GlideRecord(table);
+
+        // The value is already the SysID of a referenced record
+        if (/^[0-9a-f]{32}$/.test(value) && grReferenced.get(value)) matches.push(value);
+        else {
+            // Query the referenced table by the lookup or display field
+            grReferenced = new GlideRecord(table);
+            grReferenced.addQuery(lookup || grReferenced.getDisplayName(), value);
+            grReferenced.setLimit(2);
+            grReferenced.query();
+
+            while (grReferenced.next()) matches.push(grReferenced.getUniqueValue());
+        }
+
+        this._trace("Looked up value '" + value + "' in table " + table + ": " + matches.length + " record(s) found");
+        this._referenceCache[key] = matches;
+        return matches;
+    },
+
+    /**
+     * Convert every row value to the internal type of its field.
+     *
+     * Executed after transformation, reference and choice fields are excluded as they are resolved separately.
+     *
+     * Return the list of errors, with the field name and the related message, for the values that cannot be converted.
+     */
+    _coerceRowValues: function(row) {
+        // Extract all the fields from the row
+        var fields = Object.keys(row);
+
+        /**
+         * List of the fields that cannot be converted.
+         */
+        var errors = [];
+
+        for (var i = 0; i < fields.length; i++) {
+            // Extract the field
+            var field = fields[i];
+            var value = row[field];
+
+            // Empty values, references and choices do not need a conversion
+            var descriptor = this._describe(field);
+            if (gs.nil(value) || descriptor.reference || descriptor.choice) continue;
+
+            // Convert the value, null means that the value is not valid for the type
+            var converted = this._coerceValue(descriptor.type, value);
+            if (converted === null) {
+                var obj = {};
+                obj.field = field;
+                obj.message = "The value '" + value + "' is not a valid " + descriptor.type;
+                errors.push(obj);
+                continue;
+            }
+
+            row[field] = converted;
+        }
+
+        return errors;
+    },
+
+    /**
+     * Convert a single value to the given internal type.
+     *
+     * @param {String} type Internal type of the field
+     * @param {*} value Value to convert
+     * @return {*} Converted value, the value itself for unsupported types or null if the value is not valid
+     */
+    _coerceValue: function(type, value) {
+        switch (type) {
+            case "boolean":
+                var _value = this._normalize(String(value));
+                if (["true", "yes", "y", "1", "x"].indexOf(_value) != -1) return "true";
+                if (["false", "no", "n", "0"].indexOf(_value) != -1) return "false";
+                return null;
+            case "integer":
+            case "longint":
+                var integer = this._parseNumber(value);
+                return isNaN(integer) || integer % 1 !== 0 ? null : String(integer);
+            case "decimal":
+            case "float":
+                var decimal = this._parseNumber(value);
+                return isNaN(decimal) ? null : String(decimal);
+            case "currency":
+            case "price":
+                return this._parseCurrency(value);
+            case "glide_date":
+                return this._parseDateTime(value, false);
+            case "glide_date_time":
+                return this._parseDateTime(value, true);
+            case "glide_duration":
+            case "timer":
+                var ms = this._parseDuration(value);
+                return ms === null ? null : new GlideDuration(ms).getValue();
+            default:
+                return value;
+        }
+    },
+
+    /**
+     * Parse a number written with dots or commas as thousands and decimal separators.
+     *
+     * When both separators are used the last one is the decimal separator, otherwise a separator
+     * used once is the decimal separator and a separator used many times is the thousands one.
+     * A single separator followed by three digits (e.g. "1,000") is ambiguous, so it is read using
+     * the decimal separator of the importer and the number is not valid when none is set.
+     *
+     * @return {number} Parsed number or NaN if the value is not a number
+     */
+    _parseNumber: function(value) {
+        if (typeof value == "number") return value;
+
+        // Remove spaces and apostrophes used as thousands separators
+        var _value = String(value).trim().replace(/[\s']/g, "");
+
+        // Find the decimal separator
+        var lastDot = _value.lastIndexOf(".");
+        var lastComma = _value.lastIndexOf(",");
+        var separator = null;
+        if (lastDot != -1 && lastComma != -1) separator = lastDot > lastComma ? "." : ",";
+        else if (lastDot != -1 && _value.indexOf(".") == lastDot) separator = ".";
+        else if (lastComma != -1 && _value.indexOf(",") == lastComma) separator = ",";
+
+        // Resolve the ambiguous numbers, as "1,000" or "1.000" can be both thousands and decimals
+        if (separator !== null && (lastDot == -1 || lastComma == -1) && /^[-+]?[1-9]\d{0,2}[.,]\d{3}$/.test(_value)) {
+            if (this._decimalSeparator === null) return NaN;
+            if (separator != this._decimalSeparator) separator = null;
+        }
+
+        // Remove the thousands separators and use the dot as decimal separator
+        var integer = separator === null ? _value : _value.substring(0, _value.lastIndexOf(separator));
+        var decimals = separator === null ? null : _value.substring(_value.lastIndexOf(separator) + 1);
+        _value = integer.replace(/[.,]/g, "") + (decimals === null ? "" : "." + decimals);
+
+        return /^[-+]?\d+(\.\d+)?$/.test(_value) ? parseFloat(_value) : NaN;
+    },
+
+    /**
+     * Parse a currency value, optionally with a currency code or symbol (e.g. "EUR 1.250,00", "$12.50", "USD;12.50").
+     *
+     * @return {String|null} Value in the "CODE;amount" format (or just the amount when no currency is specified) or null if not valid
+     */
+    _parseCurrency: function(value) {
+        var SYMBOLS = { "€": "EUR", "$": "USD", "£": "GBP", "¥": "JPY" };
+
+        var _value = String(value).trim();
+
+        // Extract the currency code or symbol (if any)
+        var code = null;
+        var match = _value.match(/[A-Za-z]{3}/);
+        if (match) code = match[0].toUpperCase();
+        else {
+            for (var symbol in SYMBOLS) {
+                if (_value.indexOf(symbol) != -1) code = SYMBOLS[symbol];
+            }
+        }
+
+        // Parse the amount without the currency
+        var amount = this._parseNumber(_value.replace(/[A-Za-z;€$£¥]/g, ""));
+        if (isNaN(amount)) return null;
+
+        return code ? code + ";" + amount : String(amount);
+    },
+
+    /**
+     * Parse a date or date/time value, either as Excel numeric date or as string.
+     *
+     * Strings are accepted in the "yyyy-MM-dd HH:mm:ss" format or in the format of the current user.
+     * Values without time zone are read as local date/time of the current user.
+     *
+     * @param {*} value Value to parse
+     * @param {Boolean} time True for date/time fields, false for date fields
+     * @return {String|null} Internal value of the date or date/time (in UTC) or null if not valid
+     */
+    _parseDateTime: function(value, time) {
+        var _value = String(value).trim();
+
+        // Excel numeric dates are the number of days elapsed since the beginning of the date system
+        if (/^\d+(\.\d+)?$/.test(_value)) {
+            // Days between the beginning of the date system and 1970-01-01
+            var offset = this._dateSystem === 1904 ? 24107 : 25569;
+            var date = new Date(Math.round((parseFloat(_value) - offset) * 86400000));
+            if (isNaN(date.getTime())) return null;
+
+            _value = date.toISOString().substring(0, 19).replace("T", " ");
+        }
+
+        // Internal format
+        if (/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(_value)) {
+            if (!time) return _value.substring(0, 10);
+
+            // Add the missing time parts
+            if (_value.length == 10) _value += " 00:00:00";
+            if (_value.length == 16) _value += ":00";
+
+            var gdtInternal = new GlideDateTime();
+            gdtInternal.setDisplayValueInternal(_value);
+            return gdtInternal.isValid() ? String(gdtInternal.getValue()) : null;
         }
-    },
 
-    /**
-     * Verify if the row object has all values set to null.
-     */
-    _isEmptyRow: function(row) {
-        function hasValue(key) {
-            return !gs.nil(this.obj[key]);
+        // Format of the current user
+        if (!time) {
+            var gd = new GlideDate();
+            gd.setDisplayValue(_value);
+            var internal = String(gd.getValue() || "");
+            return /^\d{4}-\d{2}-\d{2}$/.test(internal) ? internal : null;
         }
-        var context = {};
-        context.obj = row;
 
-        var keys = Object.keys(row);
-        return keys.filter(hasValue, context).length === 0;
+        var gdt = new GlideDateTime();
+        gdt.setDisplayValue(_value);
+        return gdt.isValid() ? String(gdt.getValue()) : null;
     },
 
     /**
-     * Convert every row header in the appropriate field name using
-     * the label for the table or the custom mapping defined.
+     * Parse a duration, either as Excel numeric time (fraction of days) or as string in the "[d ]hh:mm[:ss]" format.
+     *
+     * @return {number|null} Duration in milliseconds or null if not valid
      */
-    _mapHeadersToFields: function(row) {
-        // Extract all the headers from the row
-        var headers = Object.keys(row);
+    _parseDuration: function(value) {
+        var _value = String(value).trim();
 
-        /**
-         * Object containing all the mapped values from the row object.
-         *
-         * The key is the mapped field name and the value the same cell value.
-         */
-        var data = {};
+        // Excel stores durations as fraction of days
+        if (/^\d+(\.\d+)?$/.test(_value)) return Math.round(parseFloat(_value) * 86400000);
 
-        // Iterate over every header of the row
-        for (var i = 0; i < headers.length; i++) {
-            // Extract the header
-            var header = headers[i];
+        var match = _value.match(/^(?:(\d+)\s+)?(\d+):(\d{2})(?::(\d{2}))?$/);
+        if (!match) return null;
 
-            // Map the field
-            var field = this._mappings[this._normalize(header)];
+        var seconds = parseInt(match[1] || "0", 10) * 86400 + parseInt(match[2], 10) * 3600 + parseInt(match[3], 10) * 60 + parseInt(match[4] || "0", 10);
+        return seconds * 1000;
+    },
 
-            // No target field found, exclude this element from import
-            if (!field) {
-                gs.warn(this.type + " | Skipping header: '" + header + "', no field with this name found in the table '" + this.table + "'");
-                continue;
-            }
+    /**
+     * Get the field on which the choices of a field depend, looking at the dictionary of the whole table hierarchy.
+     *
+     * @return {String|null} Name of the field or null when the choices do not depend on another field
+     */
+    _getDependentField: function(field) {
+        var tables = new GlideTableHierarchy(this.table).getTables();
 
-            // Save in the transformed 
-            data[field] = row[header];
-        }
+        var grDictionary = new GlideRecord("sys_dictionary");
+        grDictionary.addQuery("name", "IN", tables);
+        grDictionary.addQuery("element", field);
+        grDictionary.addNotNullQuery("dependent_on_field");
+        grDictionary.setLimit(1);
+        grDictionary.query();
 
-        return data;
+        return grDictionary.next() ? grDictionary.getValue("dependent_on_field") : null;
     },
 
     /**
-     * Transform every row value using the transformation methods defined.
-     * 
-     * Executed after mapping and validation.
+     * Replace the labels of the choice fields with the stored choice values.
+     *
+     * Executed after the resolution of the references.
+     *
+     * Return an object with the field name when a value does not match any choice and the policy rejects it, null otherwise.
      */
-    _transformRowValues: function(row) {
-        // Extract all the fields from the row
-        var fields = Object.keys(row);
+    _translateChoices: function(row) {
+        // Extract all the non empty choice fields from the row
+        var isChoice = function(field) { return this._describe(field).choice && !gs.nil(row[field]); };
+        var fields = Object.keys(row).filter(isChoice, this);
 
-        /**
-         * Object containing all the trasformed values to insert in the record.
-         *
-         * The key is the field name and the value the trasformed Excel cell value.
-         */
-        var data = {};
+        // Translate first the fields that do not depend on others, so the dependent ones can use the translated value
+        var isIndependent = function(field) { return gs.nil(this._describe(field).dependent); };
+        var isDependent = function(field) { return !gs.nil(this._describe(field).dependent); };
+        fields = fields.filter(isIndependent, this).concat(fields.filter(isDependent, this));
 
-        // Iterate over every field of the row
         for (var i = 0; i < fields.length; i++) {
-            // Extract the mapped field name
+            // Extract the field
             var field = fields[i];
 
-            // Extract the Excel cell value
-            var value = row[field];
+            // Get the value of the field on which the choices depend (if any and only when it is imported too)
+            var dependent = this._describe(field).dependent;
+            var dependentValue = gs.nil(dependent) || !row.hasOwnProperty(dependent) ? null : String(row[dependent] || "");
 
-            // Execute transformations for this field (if any)
-            var transformations = this._transforms[field];
-            if (!gs.nil(transformations)) {
-                var execute = function(f) {
-                    this.value = f(this.value);
-                };
-                var context = {};
-                context.value = value;
-                transformations.forEach(execute, context);
-                value = context.value;
+            // Find the matching choice
+            var value = this._findChoice(field, String(row[field]).trim(), dependentValue);
+
+            // Apply the policy when no choice matches
+            if (gs.nil(value)) {
+                var policy = this._choicePolicies[field] || {};
+                if (policy.policy == XLSXImporter.CHOICE_POLICIES.DEFAULT) value = policy.value;
+                else if (policy.policy == XLSXImporter.CHOICE_POLICIES.CREATE) value = this._createChoice(field, String(row[field]).trim(), dependentValue);
+                else {
+                    var obj = {};
+                    obj.field = field;
+                    return obj;
+                }
             }
 
-            // Assign the trasformed value from the Excel to the object
-            // that will be used to create the new record
-            data[field] = value;
+            row[field] = value;
         }
 
-        return data;
+        return null;
     },
 
     /**
-     * Validate every row value using the validation methods defined.
-     * 
-     * Executed after field mapping.
-     * 
-     * Return an error message with the field name or null if the row is valid.
+     * Find the stored value of a choice matching the given value or label.
+     *
+     * @param {String} field Name of the choice field
+     * @param {String} value Value or label of the choice (case insensitive)
+     * @param {String|null} [dependentValue] Value of the field on which the choices depend, null to ignore the dependency
+     * @return {String|null} Stored value of the choice or null if no choice matches
      */
-    _validateRowValues: function(row) {
-        // Extract all the fields from the row
-        var fields = Object.keys(row);
+    _findChoice: function(field, value, dependentValue) {
+        var choices = this._loadChoices(field).choices;
+        var _value = this._normalize(value);
 
-        // Iterate over every field of the row
-        for (var i = 0; i < fields.length; i++) {
-            // Extract the field
-            var field = fields[i];
+        // Keep only the choices available for the value of the field on which the choices depend
+        var isAvailable = function(choice) { return dependentValue === null || choice.dependent_value == dependentValue; };
+        choices = choices.filter(isAvailable, this);
 
-            // Extract validation objects (if any)
-            var farray = this._validations[field];
+        // Stored values have the precedence over labels
+        for (var i = 0; i < choices.length; i++) {
+            if (this._normalize(choices[i].value) === _value) return choices[i].value;
+        }
+        for (var j = 0; j < choices.length; j++) {
+            if (this._normalize(choices[j].label) === _value) return choices[j].value;
+        }
 
-            // No validation method for this field, skip iteration
-            if (gs.nil(farray)) continue;
+        return null;
+    },
 
-            // Execute the validation method
-            for (var j = 0; j < farray.length; j++) {
-                // Extract the validation method
-                var f = farray[j].method;
+    /**
+     * Load the active choices of a field in the import language, caching them for the whole import.
+     *
+     * The choices are taken from the closest table of the hierarchy defining them, falling back to English
+     * when no choice exists in the import language.
+     *
+     * @return {object} Object with the table defining the choices and the list of choices
+     */
+    _loadChoices: function(field) {
+        // Return the cached choices (if any)
+        if (this._choiceCache[field]) return this._choiceCache[field];
 
-                // Execute the method
-                var valid = f(row, field);
+        var language = this._language || String(gs.getSession().getLanguage() || "en");
+        var languages = language == "en" ? ["en"] : [language, "en"];
+        var tables = new GlideTableHierarchy(this.table).getTables();
 
-                // The validation method failed, skip this row
-                if (!valid) {
-                    var obj = {};
-                    obj.message = farray[j].message;
-                    obj.field = field;
-                    return obj;
+        /**
+         * Container of the choices of the field.
+         */
+        var obj = {};
+        obj.table = this.table;
+        obj.language = language;
+        obj.choices = [];
+
+        for (var i = 0; i < languages.length && obj.choices.length === 0; i++) {
+            for (var j = 0; j < tables.length && obj.choices.length === 0; j++) {
+                var grChoice = new GlideRecord("sys_choice");
+                grChoice.addQuery("name", tables[j]);
+                grChoice.addQuery("element", field);
+                grChoice.addQuery("language", languages[i]);
+                grChoice.addQuery("inactive", false);
+                grChoice.query();
+
+                while (grChoice.next()) {
+                    var choice = {};
+                    choice.value = grChoice.getValue("value");
+                    choice.label = grChoice.getValue("label") || "";
+                    choice.dependent_value = grChoice.getValue("dependent_value") || "";
+                    obj.choices.push(choice);
+
+                    obj.table = String(tables[j]);
+                    obj.language = languages[i];
                 }
             }
         }
 
-        return null;
+        this._trace("Loaded " + obj.choices.length + " choice(s) for field: " + field + " (Table: " + obj.table + ", Language: " + obj.language + ")");
+        this._choiceCache[field] = obj;
+        return obj;
     },
 
     /**
-     * Trigger the specified event with the value provided.
+     * Create a new choice for a field, using the given value both as value and label.
+     *
+     * The choice is not created when running in VIRTUAL mode, but it is still available for the rest of the import.
+     *
+     * @return {String} Value of the new choice
      */
-    _triggerEvent: function(event, row, index, sys_id) {
-        // Normalize the vent name
-        var _event = this._normalize(event);
+    _createChoice: function(field, value, dependentValue) {
+        var cache = this._loadChoices(field);
+
+        var choice = {};
+        choice.value = value;
+        choice.label = value;
+        choice.dependent_value = gs.nil(dependentValue) ? "" : String(dependentValue);
+
+        // Do not save anything on the database if the import is run in VIRTUAL mode
+        if (!this._virtual) {
+            var grChoice = new GlideRecord("sys_choice");
+            grChoice.newRecord();
+            grChoice.setValue("name", cache.table);
+            grChoice.setValue("element", field);
+            grChoice.setValue("language", cache.language);
+            grChoice.setValue("value", choice.value);
+            grChoice.setValue("label", choice.label);
+            grChoice.setValue("dependent_value", choice.dependent_value);
+            grChoice.insert();
+            this._journal(grChoice, XLSXImporter.OPERATIONS.INSERT);
+        }
 
-        // Get the callback from the map object
-        var f = this._events[_event];
+        // Make the choice available for the next rows
+        cache.choices.push(choice);
+        this._trace("Created choice '" + value + "' for field: " + field);
 
-        // Fail fast if no callback is found
-        if (gs.nil(f)) return null;
+        return choice.value;
+    },
 
+    /**
+     * Trigger the specified event with the value provided.
+     */
+    _triggerEvent: function(event, row, index, sys_id) {
         // Create the data object to pass to callback
         var data = {};
         if (!gs.nil(row)) data.row = row;
         if (!gs.nil(index)) data.index = index;
         if (!gs.nil(sys_id)) data.sys_id = sys_id;
 
-        // Execute the callback and return the result
-        return f(data);
+        // Execute the callbacks and return the result
+        return this._emitEvent(event, data);
     },
 
     /**
-     * Create or update a record in the target table with the specified values based on the coalesce fields.
+     * Execute all the callbacks of the specified event, in registration order, with the data provided.
      *
-     * @param data: Obejct having as keys the fields' names and as values the values to insert.
-     * @returns SysID of the newly created record or null if an error occours
+     * The execution stops at the first callback returning false. An error thrown by a callback of the rows
+     * reaches the row that is failed, while an informational callback throwing an error is logged and ignored.
+     *
+     * @return {Boolean|null} False if a callback returned false, true if a callback returned a value, null otherwise
      */
-    _createUpdateRecord: function(data) {
-        // Create and initialize the record
-        var grRecord = new GlideRecord(this.table);
+    _emitEvent: function(event, data) {
+        // The callbacks are executed while importing the rows, not while scanning or inspecting the file
+        if (this._scanning) return null;
+
+        // Normalize the vent name
+        var _event = this._normalize(event);
+
+        // Get the callbacks from the map object
+        var callbacks = this._events[_event] || [];
+
+        // Informational events cannot fail the import or the row
+        var informational = ["onimportstart", "onimportend", "onrowerror", "onheadermissing"].indexOf(_event) != -1;
+
+        var result = null;
+        for (var i = 0; i < callbacks.length; i++) {
+            // Execute the callback, stopping when it returns a negative value
+            var valid = null;
+            try {
+                valid = callbacks[i](data);
+            } catch (ex) {
+                if (!informational) throw ex;
+                gs.error(this.type + " | Callback of the event '" + _event + "' failed: " + ex.message);
+                continue;
+            }
+            if (!gs.nil(valid) && !valid) return false;
+            if (!gs.nil(valid)) result = true;
+        }
 
-        // Get the sys_id of a matching record based on the coalescing fields
-        var sys_id = this._getCoalescenceRecord(data);
+        return result;
+    },
+
+    /**
+     * Prepare the record to create or update in the target table with the specified values based on the coalesce fields.
+     *
+     * The values are set on the record without saving it, so the same plan is used by virtual and real imports.
+     *
+     * @param {object} data Object having as keys the fields' names and as values the values to insert
+     * @param {String} sys_id SysID of the existing record matched by the coalescing fields, null to create a new record
+     * @param {GlideRecord} [planned] Record planned by a previous row and not saved, to plan the update of the same record
+     * @returns {object} Object with the record, its SysID (null for new records), the operation and the changed fields
+     */
+    _planRecord: function(data, sys_id, planned) {
+        // Create and initialize the record, unless already planned
+        var grRecord = planned || new GlideRecord(this.table);
 
         // If a record exists, update it, otherwise create it
-        if (gs.nil(sys_id)) grRecord.newRecord(); // Automagically set default values for the fields
-        else grRecord.get(sys_id);
+        if (gs.nil(planned) && gs.nil(sys_id)) grRecord.newRecord(); // Automagically set default values for the fields
+        else if (gs.nil(planned)) grRecord.get(sys_id);
 
-        // Write the data object into the newly created record
+        /**
+         * Container of the changes to apply on the record.
+         */
+        var plan = {};
+        plan.record = grRecord;
+        plan.sys_id = sys_id || null;
+        plan.operation = gs.nil(sys_id) && gs.nil(planned) ? XLSXImporter.OPERATIONS.INSERT : XLSXImporter.OPERATIONS.UPDATE;
+        /**
+         * Values of the fields before the import, used to revert the changes.
+         */
+        plan.previous = {};
+        /**
+         * Fields whose value changes, with the values before and after the import.
+         */
+        plan.changes = {};
+
+        // Write the data object into the record
         var fields = Object.keys(data);
         for (var i = 0; i < fields.length; i++) {
             // Get the current field
             var field = fields[i];
 
-            // Set the value in the record
+            // Save the previous value and set the new one in the record
+            var before = grRecord.getValue(field);
             grRecord.setValue(field, data[field]);
+            var after = grRecord.getValue(field);
+
+            plan.previous[field] = before;
+            if (before === after) continue;
+
+            var change = {};
+            change.before = before;
+            change.after = after;
+            plan.changes[field] = change;
         }
 
-        // Insert/update the record in the table and return the sys_id
-        return grRecord.update();
+        // An existing record without changes does not need an update
+        if (plan.operation == XLSXImporter.OPERATIONS.UPDATE && Object.keys(plan.changes).length === 0) plan.operation = XLSXImporter.OPERATIONS.NONE;
+
+        return plan;
+    },
+
+    /**
+     * Create or update a record in the target table as prepared by the plan.
+     *
+     * Records without changes are not updated, so no business rule or audit is triggered.
+     *
+     * @param {object} plan Changes to apply, as returned by the `_planRecord` method
+     * @returns SysID of the newly created record or null if an error occours
+     */
+    _createUpdateRecord: function(plan) {
+        // Nothing to save for unchanged records
+        if (plan.operation == XLSXImporter.OPERATIONS.NONE) return plan.sys_id;
+
+        // Insert/update the record in the table and save the change in the journal
+        var sys_id = plan.record.update();
+        var isInsert = plan.operation == XLSXImporter.OPERATIONS.INSERT;
+        this._journal(plan.record, isInsert ? XLSXImporter.OPERATIONS.INSERT : XLSXImporter.OPERATIONS.UPDATE, isInsert ? null : plan.previous);
+
+        // Keep the coalescing index aligned with the table
+        if (!gs.nil(this._index)) this._indexRecord(plan.record, true);
+
+        return sys_id;
+    },
+
+    /**
+     * Get the row result code matching the operation executed on the record.
+     */
+    _getOperationCode: function(operation) {
+        if (operation == XLSXImporter.OPERATIONS.INSERT) return XLSXImporter.RCODES.INSERTED;
+        if (operation == XLSXImporter.OPERATIONS.UPDATE) return XLSXImporter.RCODES.UPDATED;
+
+        return XLSXImporter.RCODES.UNCHANGED;
+    },
+
+    /**
+     * Save a change of the current import in the journal (when enabled), so it can be reverted.
+     *
+     * @param {GlideRecord} grRecord Record inserted or updated, after the change, or record to delete, before the deletion
+     * @param {String} operation One of the `XLSXImporter.OPERATIONS` values
+     * @param {object} [previous] Values of the updated fields before the change (every value of a deleted record)
+     */
+    _journal: function(grRecord, operation, previous) {
+        if (!this._journaling || this._virtual || gs.nil(this._runId)) return;
+
+        var grJournal = new GlideRecord(XLSXImporter.TABLES.JOURNAL);
+        grJournal.newRecord();
+        grJournal.setValue("u_run", this._runId);
+        grJournal.setValue("u_sequence", ++this._journalSequence);
+        grJournal.setValue("u_table", grRecord.getRecordClassName());
+        grJournal.setValue("u_record", grRecord.getUniqueValue());
+        grJournal.setValue("u_operation", operation);
+        grJournal.setValue("u_previous", JSON.stringify(previous || {}));
+        grJournal.setValue("u_mod_count", grRecord.getValue("sys_mod_count"));
+        grJournal.insert();
     },
 
     /**
-     * Based on the coalescing fields, get a matching record.
+     * Find the record matching the coalescing values of the row, trying the coalescing groups in order.
+     *
+     * A group matching more than one record makes the row ambiguous, a group matching nothing let the next one be tried.
      *
      * @param {object} data Object having as keys the fields' names and as values the values to insert
-     * @returns {SysID|null} SysID of the matching record or null if nothing match
+     * @return {object} Object with the success of the search, the SysID of the matching record (null if no record matches) and its group,
+     * or the response code, the additional information and the field (if any) when the row cannot be coalesced
      */
     _getCoalescenceRecord: function(data) {
-        // If no coalescence field is defined, return false because nothing matches
-        if (gs.nil(this._coalescing) || this._coalescing.length === 0) return null;
+        var result = {};
+        result.success = true;
+        result.sys_id = null;
+        result.group = null;
 
-        // Create and initialize the record
-        var grRecord = new GlideRecord(this.table);
+        // Return a failed result with the response code
+        function fail(code, info, field) {
+            result.success = false;
+            result.code = code;
+            result.info = info;
+            result.field = field || null;
+            return result;
+        }
 
-        // Build the query with the coalescence fields
-        for (var i = 0; i < this._coalescing.length; i++) {
-            // Extract the field name
-            var field = this._coalescing[i];
+        /**
+         * SysIDs of the records matching the current group.
+         */
+        var matches = [];
+
+        // Execute the callback (if available) and add the record to the matching ones
+        var accept = function(sys_id) {
+            // When gs.nil(valid) is true it means that no callback is registered and the record matches
+            var valid = this._triggerEvent("onCoalesce", null, null, sys_id);
+            if (gs.nil(valid) || valid) matches.push(sys_id);
+        }.bind(this);
 
-            // If the coalescence field is not defined, skip this iteration
-            if (gs.nil(data[field])) {
-                gs.warn(this.type + " | Skipping coalescing field: '" + field + "', no field with this name found in the table '" + this.table + "'");
+        for (var i = 0; i < this._coalesceGroups.length; i++) {
+            var group = this._coalesceGroups[i];
+
+            // Get the values of the group, applying the policy for the empty values
+            var key = this._getKeyValues(group, data);
+            if (!gs.nil(key) && !gs.nil(key.rejected)) return fail(XLSXImporter.RCODES.EMPTY_KEY, key.rejected, key.rejected);
+
+            // A group without values would match every record
+            if (gs.nil(key)) {
+                this._trace("Skipping coalescing group '" + group.name + "' because of empty values");
                 continue;
             }
+            if (key.partial) this._trace("Skipping the empty coalescing fields of the group '" + group.name + "'");
 
-            // Add the "AND" condition
-            grRecord.addQuery(field, data[field]);
-        }
+            // Create and initialize the record, limited to the coalescing scope
+            var grRecord = new GlideRecord(this.table);
+            if (!gs.nil(this._coalesceScope)) grRecord.addEncodedQuery(this._coalesceScope);
 
-        // Execute the query
-        grRecord.query();
+            /**
+             * Normalized values of the fields to compare after the query, when matching normalized keys.
+             */
+            var normalized = {};
 
-        // Cycle the records and execute the callback (if available)
-        // If no callback is provided, get the first record available
-        var valid = false;
-        while (grRecord.next()) {
-            // Execute the callback passing the current GlideRecord object
-            valid = this._triggerEvent("onCoalesce", null, null, grRecord.getValue("sys_id"));
+            // Build the query with the coalescence fields of the group
+            for (var j = 0; j < key.fields.length; j++) {
+                var field = key.fields[j];
+                var value = key.values[j];
+
+                // Empty values are matched only by the MATCH_EMPTY policy
+                if (gs.nil(value)) {
+                    grRecord.addNullQuery(field);
+                    continue;
+                }
+
+                // Reference fields are always matched by SysID
+                if (this._normalizeKeys && gs.nil(this._describe(field).reference)) {
+                    // Search the records containing every word, then compare the normalized values
+                    normalized[field] = this._normalizeKey(value);
+                    var words = normalized[field].split(" ");
+                    for (var k = 0; k < words.length; k++) grRecord.addQuery(field, "CONTAINS", words[k]);
+                } else grRecord.addQuery(field, value);
+            }
+
+            // Two matching records are enough to know the row is ambiguous
+            matches = [];
+
+            // Use the coalescing index when the whole group is used, the index has no entry for partial groups
+            if (!gs.nil(this._index) && !key.partial) {
+                var candidates = this._index.keys[group.name][this._getGroupKey(group, data)] || [];
+                for (var c = 0; c < candidates.length && matches.length < 2; c++) accept(candidates[c]);
+            } else {
+                // Execute the query
+                grRecord.query();
+
+                // Cycle the records and execute the callback (if available)
+                while (matches.length < 2 && grRecord.next()) {
+                    // Compare the normalized values
+                    var equals = true;
+                    for (var nField in normalized) {
+                        if (this._normalizeKey(grRecord.getValue(nField)) !== normalized[nField]) equals = false;
+                    }
+                    if (equals) accept(grRecord.getValue("sys_id"));
+                }
+            }
 
-            // If one record with the selected keys exists, we need to update and not insert the record
-            // When gs.nil(valid) is true it means that no callback is registered and we take the first record found
-            if (gs.nil(valid) || valid) return grRecord.getValue("sys_id");
+            // More than one record with the selected keys exists, the record to update cannot be chosen
+            if (matches.length > 1) return fail(XLSXImporter.RCODES.AMBIGUOUS_COALESCE, group.name);
+
+            // One record with the selected keys exists, we need to update and not insert the record
+            if (matches.length === 1) {
+                result.sys_id = matches[0];
+                result.group = group.name;
+                return result;
+            }
         }
 
         // No coalescing record found, we need to create a new record
+        return result;
+    },
+
+    /**
+     * Get the values of a coalescing group used to find the record of the row, applying the empty key policy.
+     *
+     * This is the only place where the policy is applied, so the search of the record, the duplicates and the coalescing index use the same values.
+     *
+     * @param {object} group Coalescing group
+     * @param {object} data Object having as keys the fields' names
+     * @return {object} Object with the fields used and their values (null for the empty values to match), whether some empty fields
+     * are skipped and the empty field rejected by the policy (if any), null if the group cannot be used because of empty values
+     */
+    _getKeyValues: function(group, data) {
+        var obj = {};
+        obj.fields = [];
+        obj.values = [];
+        obj.partial = false;
+        obj.rejected = null;
+
+        for (var i = 0; i < group.fields.length; i++) {
+            var field = group.fields[i];
+            var value = data[field];
+
+            // Apply the policy for the empty values
+            if (gs.nil(value)) {
+                if (this._emptyKeyPolicy == XLSXImporter.EMPTY_KEY_POLICIES.REJECT) {
+                    obj.rejected = field;
+                    return obj;
+                }
+                if (this._emptyKeyPolicy == XLSXImporter.EMPTY_KEY_POLICIES.SKIP_GROUP) return null;
+                if (this._emptyKeyPolicy == XLSXImporter.EMPTY_KEY_POLICIES.SKIP_FIELD) {
+                    obj.partial = true;
+                    continue;
+                }
+                value = null;
+            }
+
+            obj.fields.push(field);
+            obj.values.push(value);
+        }
+
+        // A group without values would match every record
+        var hasValue = function(value) { return !gs.nil(value); };
+        return obj.values.some(hasValue) ? obj : null;
+    },
+
+    /**
+     * Get the key identifying the coalescing values of the row, using the first group that can be used.
+     *
+     * @param {object} data Object having as keys the fields' names
+     * @return {String} Key of the coalescing values, null if no group can be used because of empty values
+     */
+    _getCoalescingKey: function(data) {
+        for (var i = 0; i < this._coalesceGroups.length; i++) {
+            var group = this._coalesceGroups[i];
+
+            // Rows rejected because of an empty value are never imported
+            var key = this._getKeyValues(group, data);
+            if (!gs.nil(key) && !gs.nil(key.rejected)) return null;
+            if (!gs.nil(key)) return JSON.stringify([group.name, this._getGroupKey(group, data)]);
+        }
+
         return null;
     },
 
+    /**
+     * Get the key identifying the values of a coalescing group, as used in the coalescing index.
+     *
+     * @param {object} group Coalescing group
+     * @param {object} values Object having as keys the fields' names
+     * @return {String} Key of the values, null if the group cannot be used because of empty values
+     */
+    _getGroupKey: function(group, values) {
+        var key = this._getKeyValues(group, values);
+        if (gs.nil(key) || !gs.nil(key.rejected)) return null;
+
+        var _values = [];
+        for (var i = 0; i < key.fields.length; i++) {
+            var field = key.fields[i];
+            var value = key.values[i];
+
+            if (gs.nil(value)) _values.push("");
+            else if (this._normalizeKeys && gs.nil(this._describe(field).reference)) _values.push(this._normalizeKey(value));
+            else _values.push(String(value).toLowerCase()); // Like the queries, the values are compared ignoring case
+        }
+
+        return JSON.stringify([key.fields, _values]);
+    },
+
+    /**
+     * Load the coalescing values of the records in the coalescing scope (and in the preload filter) into the coalescing index.
+     */
+    _loadCoalescingIndex: function() {
+        var index = {};
+        index.keys = {};
+        index.records = {};
+        for (var i = 0; i < this._coalesceGroups.length; i++) index.keys[this._coalesceGroups[i].name] = {};
+        this._index = index;
+
+        // Query only the records that can be matched
+        var grRecord = new GlideRecord(this.table);
+        if (!gs.nil(this._coalesceScope)) grRecord.addEncodedQuery(this._coalesceScope);
+        if (!gs.nil(this._preloadFilter)) grRecord.addEncodedQuery(this._preloadFilter);
+        grRecord.query();
+
+        while (grRecord.next()) this._indexRecord(grRecord, false);
+
+        this._trace("Coalescing index loaded with " + Object.keys(index.records).length + " records");
+    },
+
+    /**
+     * Add a record to the coalescing index, replacing its previous coalescing values.
+     *
+     * @param {GlideRecord} grRecord Record to add
+     * @param {Boolean} check True to verify that the record is in the coalescing scope and in the preload filter
+     */
+    _indexRecord: function(grRecord, check) {
+        var sys_id = grRecord.getValue("sys_id");
+
+        // Remove the previous coalescing values of the record
+        var entries = this._index.records[sys_id] || [];
+        for (var i = 0; i < entries.length; i++) {
+            var sys_ids = this._index.keys[entries[i].group][entries[i].key];
+            sys_ids.splice(sys_ids.indexOf(sys_id), 1);
+        }
+        delete this._index.records[sys_id];
+
+        // Records out of the coalescing scope cannot be matched
+        if (check && !gs.nil(this._coalesceScope) && !GlideFilter.checkRecord(grRecord, this._coalesceScope)) return;
+        if (check && !gs.nil(this._preloadFilter) && !GlideFilter.checkRecord(grRecord, this._preloadFilter)) return;
+
+        var values = {};
+        for (var j = 0; j < this._coalescing.length; j++) values[this._coalescing[j]] = grRecord.getValue(this._coalescing[j]);
+
+        // Add the record to every group having its values
+        entries = [];
+        for (var k = 0; k < this._coalesceGroups.length; k++) {
+            var group = this._coalesceGroups[k];
+            var key = this._getGroupKey(group, values);
+            if (gs.nil(key)) continue;
+
+            if (gs.nil(this._index.keys[group.name][key])) this._index.keys[group.name][key] = [];
+            this._index.keys[group.name][key].push(sys_id);
+
+            var entry = {};
+            entry.group = group.name;
+            entry.key = key;
+            entries.push(entry);
+        }
+        this._index.records[sys_id] = entries;
+    },
+
+    /**
+     * Normalize a coalescing value, ignoring case and whitespaces.
+     */
+    _normalizeKey: function(value) {
+        return gs.nil(value) ? "" : String(value).trim().replace(/\s+/g, " ").toLowerCase();
+    },
+
     /**
      * Remove from the row all the fields that the user decided to ignore.
      */
@@ -951,6 +5265,15 @@ XLSXImporter.prototype = {
             result.missing.push(required);
         }
 
+        // Verify the required headers of the related targets
+        for (var name in this._related) {
+            var related = this._related[name].importer._validateHeaders(headers);
+            for (var j = 0; j < related.missing.length; j++) {
+                result.success = false;
+                if (result.missing.indexOf(related.missing[j]) === -1) result.missing.push(related.missing[j]);
+            }
+        }
+
         return result;
     },
 